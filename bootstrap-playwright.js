@@ -1,960 +1,5937 @@
-// bootstrap-playwright.js
-// This script initializes a Playwright E2E framework.
-// FIX: Implements try/catch around 'execSync' for the test run to gracefully handle the intentionally failing test.
-// v1.56 UPDATE: Updated README.md and network_data.spec.ts to showcase new APIs and Test Agents.
-// ENHANCEMENT: Added pre-install prompt to skip test execution and defaulted parallel workers for speed.
-// 🌟 NEW ENHANCEMENT: Implemented best-practice authentication using globalSetup (auth.setup.ts) and storageState.
-// 🐞 BUG FIXES:
-// 1. Corrected path handling in auth.setup.ts to avoid "Bad character escape sequence" error on Windows.
-// 2. Corrected auth.setup.ts to use 'chromium.launch()' instead of 'test.request.newContext()' for UI login.
-
-const fs = require('fs');
-const path = require('path');
-const { execSync } = require('child_process');
-const readline = require('readline');
-
-// --- CONSTANTS FOR AUTH SETUP ---
-const AUTH_DIR = 'auth';
-const STORAGE_STATE_FILE = path.join(AUTH_DIR, 'user.json');
-// The path used in the config file (relative from testDir)
-const RELATIVE_STORAGE_STATE_PATH = path.join('..', STORAGE_STATE_FILE).replace(/\\/g, '/'); // Ensure forward slashes for cross-platform
-// ---
-
-// --- 1. FILE CONTENT DEFINITIONS (STATIC DATA) ---
-
-const getFileContents = () => ({
-    'package.json': (testDirName) => `
-{
-  "name": "playwright-e2e-framework",
-  "version": "1.0.0",
-  "description": "Playwright E2E tests for the resume application.",
-  "scripts": {
-    "test": "npx playwright test --config=\${testDirName}/playwright.config.ts",
-    "test:ui": "npx playwright test --ui",
-    "test:visual": "npm run test \${testDirName}/tests/visual.spec.ts",
-    "test:visual:update": "npm run test:visual -- --update-snapshots",
-    "report": "npx playwright show-report \${testDirName}/html-report"
-  },
-  "keywords": [
-    "playwright",
-    "e2e",
-    "automation",
-    "typescript"
-  ],
-  "devDependencies": {
-    "@playwright/test": "^1.40.0",
-    "@types/node": "^20.10.0"
-  }
-}
-`,
-    '.gitignore': `
-/node_modules
-/test-artifacts/
-/html-report/
-/playwright-report/
-/screenshots/
-/e2e.tests/tests/visual.spec.ts-snapshots
-.env
-.DS_Store
-/dist
-/build
-/${AUTH_DIR}
-`,
-    'tsconfig.json': (testDirName) => `
-{
-  "compilerOptions": {
-    "target": "ES2020",
-    "module": "CommonJS",
-    "moduleResolution": "node",
-    "strict": true,
-    "esModuleInterop": true,
-    "skipLibCheck": true,
-    "forceConsistentCasingInFileNames": true,
-    "outDir": "./dist",
-    "baseUrl": "./",
-    "paths": {
-      // NOTE: This alias is kept for IDE convenience, but files below now use relative imports (../) for stability.
-      "~/*": ["./\${testDirName}/*"]
-    }
-  },
-  "include": [
-    "./**/*.ts"
-  ]
-}
-`,
-    'README.md': () => `
-# Playwright E2E Automation Framework
-
-This project contains a robust **Playwright end-to-end (E2E) testing framework**, initialized with the latest features of Playwright v1.56.
-
----
-
-## 🔐 Authentication via Global Setup (Best Practice)
-
-This framework uses Playwright's **Global Setup** to manage the authenticated state, which is the fastest way to run authenticated tests.
-
-1.  **Login & Save:** The \`e2e.tests/auth.setup.ts\` file runs **once** before all tests to log in and save the session data to \`${STORAGE_STATE_FILE}\`.
-2.  **Load State:** All browser projects in \`playwright.config.ts\` are configured to **automatically load** this saved state, skipping the login UI step for every test and worker.
-3.  **Test Example:** See \`auth_storage.spec.ts\` for an example of a test that starts directly on a protected page.
-
----
-
-## 🤖 Playwright Test Agents (v1.56)
-
-Playwright v1.56 introduced **Test Agents**, custom AI-driven agents that can assist with test creation, generation, and self-healing.
-
-These agents can be generated using the following command, which creates agent definitions for various AI clients (like VS Code, Claude, or OpenCode):
-
-\`\`\`bash
-npx playwright init-agents --loop=vscode
-# or --loop=claude, --loop=opencode
-\`\`\`
-
-**The three core agents are:**
-* **🎭 planner:** Explores the application and creates a Markdown test plan.
-* **🎭 generator:** Transforms the Markdown plan into actual Playwright Test files.
-* **🎭 healer:** Executes the test suite and automatically repairs failing tests.
-
----
-
-## ⚙️ Configuration Summary
-
-This framework was initialized with the following settings:
-
-| Setting | Value | Impact |
-| :--- | :--- | :--- |
-| **Test Retries** | **{__RETRIES__}** | The number of times a test will re-run globally upon failure. |
-| **Max Parallel Workers** | **{__WORKERS__}** | Limits concurrent test file execution. Set to \`undefined\` if using OS default. |
-| **Browser Projects** | **{__BROWSERS__}** | Only these projects are included in \`playwright.config.ts\`. |
-| **Base URL** | **{__BASE_URL__}** | The default application URL. |
-
-### 🛠️ Important Note on Visual Tests
-
-During the initial run, the system creates baseline screenshots for the visual regression test. You **must** manually review these newly created images in the snapshot folder to confirm they represent the correct desired state of the application.
-
----
-
-## ✨ New API Showcase (v1.56)
-
-The framework's \`network_data.spec.ts\` test now showcases the new v1.56 methods:
-* \`page.consoleMessages()\`
-* \`page.pageErrors()\`
-* \`page.requests()\`
-
-These methods allow for retrieving recent data without manually setting up page listeners, simplifying network and console assertions.
-
----
-
-## ▶️ Getting Started
-
-### 1. Run All Tests
-
-\`\`\`bash
-npm test
-\`\`\`
-
-### 2. View the HTML Report
-
-\`\`\`bash
-npm run report
-\`\`\`
-
-### 3. Debugging with UI Mode
-
-\`\`\`bash
-npm run test:ui
-\`\`\`
-`,
-    [path.join('e2e.tests', 'playwright.config.ts')]: (testDirName, config) => `
-import { defineConfig, devices } from '@playwright/test';
-import path from 'path';
-
-// The baseURL is set to the value provided during the bootstrap process, 
-// unless the BASE_URL environment variable is explicitly set.
-const DEFAULT_BASE_URL = '${config.baseURL}';
-const storageStatePath = path.join(__dirname, '${RELATIVE_STORAGE_STATE_PATH}');
-
-export default defineConfig({
-  testDir: path.join(__dirname, 'tests'),
-  baseURL: process.env.BASE_URL || DEFAULT_BASE_URL,
-  
-  // 🔐 GLOBAL SETUP: Runs once before all tests to save the authentication state
-  globalSetup: require.resolve('./auth.setup'),
-  
-  fullyParallel: true,
-  forbidOnly: !!process.env.CI,
-  // --- Configurable Settings ---
-  retries: ${config.retries},
-  workers: ${config.maxWorkers}, // Use undefined for auto
-  // -----------------------------
-
-  reporter: [
-    ['list'],
-    ['html', { open: 'never', outputFolder: 'html-report' }]
-  ],
-  
-  timeout: 60000,
-  
-  use: {
-    baseURL: process.env.BASE_URL || DEFAULT_BASE_URL,
-    screenshot: 'only-on-failure',
-    trace: 'on-first-retry', 
-    video: 'retain-on-failure', 
-    // 🔐 GLOBAL USE: Automatically loads the saved authentication state for all tests
-    storageState: storageStatePath, 
-  },
-
-  projects: [
-    ${config.browserProjects.map(p => {
-        // We only use the saved storage state for web browsers, not API tests (which typically use API tokens)
-        if (p === 'chromium') return `{ name: 'chromium', use: { ...devices['Desktop Chrome'] } }`;
-        if (p === 'firefox') return `{ name: 'firefox', use: { ...devices['Desktop Firefox'] } }`;
-        if (p === 'webkit') return `{ name: 'webkit', use: { ...devices['Desktop Safari'] } }`;
-        if (p === 'mobile-chrome') return `{ name: 'mobile-chrome', use: { ...devices['Pixel 5'] } }`;
-        return '';
-    }).join(',\n    ')}
-  ].filter(p => p !== ''),
-  
-  outputDir: 'test-artifacts',
-});
-`,
-    // --- NEW FILE: auth.setup.ts ---
-    [path.join('e2e.tests', 'auth.setup.ts')]: (testDirName) => {
-        // Use path.join to ensure OS-agnostic path construction, and double-escape the backslashes
-        // if needed, so the resulting string in the .ts file is a valid JS string.
-        const safeStoragePath = STORAGE_STATE_FILE.replace(/\\/g, '\\\\');
-
-        return `
-import { test, expect, chromium } from '@playwright/test';
-import * as path from 'path';
-
-// --- Constants for Authentication ---
-const AUTH_URL = 'https://practicetestautomation.com/practice-test-login/';
-const USERNAME = 'student';
-const PASSWORD = 'Password123';
-// The path where the authentication state will be saved (relative to the framework root).
-// FIX: Constructs the path using path.join and uses the escaped variable for cross-platform compatibility.
-const STORAGE_STATE_PATH = path.join(process.cwd(), '${safeStoragePath}');
-
-/**
- * Global setup function to log in once and save the session state.
- * This runs before all tests start.
- */
-async function globalSetup() {
-    console.log('\\n🔐 Running Playwright Global Setup: Logging in and saving session...');
-    
-    // 1. LAUNCH BROWSER: Use chromium to launch a headless browser (FIXED)
-    const browser = await chromium.launch();
-    
-    // 2. CREATE PAGE: Get a Page object from the Browser Context
-    const page = await browser.newPage();
-    
-    try {
-        await page.goto(AUTH_URL);
-
-        // Perform login
-        await page.locator('#username').fill(USERNAME);
-        await page.locator('#password').fill(PASSWORD);
-        await page.getByRole('button', { name: 'Submit' }).click();
-
-        // Wait for successful redirect and verify a protected element
-        const protectedPageUrl = 'https://practicetestautomation.com/logged-in-successfully/';
-        await page.waitForURL(protectedPageUrl);
-        await expect(page.locator('.post-title')).toHaveText('Logged In Successfully');
-        
-        // 3. Save the session state (cookies, local storage, etc.)
-        await page.context().storageState({ path: STORAGE_STATE_PATH });
-        
-        console.log(\`✅ Authentication state saved to: \${STORAGE_STATE_PATH}\`);
-
-    } catch (error) {
-        console.error('❌ Global Setup Failed: Could not login and save authentication state.');
-        console.error('Check if the website is available and if credentials (student/Password123) are correct.');
-        throw error;
-    } finally {
-        // 4. CLOSE BROWSER: It's critical to close the browser instance created in global setup
-        await browser.close();
-    }
-}
-
-export default globalSetup;
-`;
-    },
-    [path.join('e2e.tests', 'testdata.json')]: () => `
-{
-  "app": {
-    "expectedTitle": "Professional Portfolio",
-    "expectedQuote": "Success is not final, failure is not fatal: it is the courage to continue that counts.",
-    "resumeLink": "https://example.com/my-resume.pdf"
-  }
-}
-`,
-    [path.join('e2e.tests', 'fixtures', 'baseTest.ts')]: () => `
-import { test as baseTest, TestInfo } from '@playwright/test';
-// FIX: Use relative paths for stable module resolution at runtime
-import { LandingPage } from '../pages/LandingPage';
-import { GlobalData } from '../utils/GlobalData';
-import { TestUtils } from '../utils/TestUtils';
-
-// EXPORTED MyFixtures to resolve "Unresolved variable/type MyFixtures" IDE error
-export type MyFixtures = {
-  landingPage: LandingPage;
-  globalData: GlobalData;
-  utils: TestUtils;
-  testInfo: TestInfo; 
-};
-
-/**
- * Checks if the test is currently in a retry cycle AND has the '@no-retry' tag.
- * If both are true, it skips the test for the current retry attempt.
- * @param testInfo The current test information object.
- */
-export function skipIfNoRetry(testInfo: TestInfo): void {
-  const isVolatile = testInfo.title.includes('@no-retry');
-  
-  if (isVolatile && testInfo.retry > 0) {
-    console.log(\`\\n⚠️ Skipping known volatile test: \${testInfo.title} (Retry #\${testInfo.retry}). Retries disabled for this tag.\`);
-    // testInfo.skip() is the correct runtime method to skip the current test iteration
-    testInfo.skip(); 
-  }
-}
-
-// Extend baseTest to inject your Page Object Models (POMs) and Utils
-export const test = baseTest.extend<MyFixtures>({
-  
-  landingPage: async ({ page }, use) => {
-    await use(new LandingPage(page));
-  },
-
-  globalData: async ({ }, use) => {
-    await use(GlobalData.getInstance());
-  },
-  
-  utils: async ({ page }, use) => {
-    await use(new TestUtils(page));
-  },
-
-  testInfo: [
-    async ({}, use, testInfo) => {
-      await use(testInfo);
-    },
-    { scope: 'test' }
-  ]
-});
-
-// Re-export Playwright core elements
-export { expect, ConsoleMessage, Request, APIRequestContext, APIResponse } from '@playwright/test';
-// Re-export custom elements explicitly to satisfy IDEs
-export { skipIfNoRetry };
-`,
-    [path.join('e2e.tests', 'pages', 'LandingPage.ts')]: () => `
-import { Page, Locator } from '@playwright/test';
-
-export class LandingPage {
-  readonly page: Page;
-  readonly header: Locator;
-  readonly resumeButton: Locator;
-
-  constructor(page: Page) {
-    this.page = page;
-    this.header = page.getByRole('heading', { level: 1 });
-    this.resumeButton = page.getByRole('link', { name: 'Download Resume' });
-  }
-
-  async navigate() {
-    await this.page.goto('/');
-  }
-
-  async clickResumeButton() {
-    await this.resumeButton.click();
-  }
-}
-`,
-    [path.join('e2e.tests', 'tests', 'seed.spec.ts')]: () => `
-// FIX: Changed from '~/fixtures/baseTest' to relative path
-import { test, expect } from '../fixtures/baseTest';
-
-test.describe('Initial Seed Test', () => {
-    test('should verify the homepage is accessible', async ({ page }) => {
-        // This test runs against the Base URL provided in playwright.config.ts 
-        await page.goto('/');
-        await expect(page).toHaveTitle(/The Internet/); 
-    });
-});
-`,
-    [path.join('e2e.tests', 'tests', 'api.spec.ts')]: () => `
-// FIX: Changed from '~/fixtures/baseTest' to relative path
-import { test, expect } from '@playwright/test';
-import { APIRequestContext } from '../fixtures/baseTest'; 
-
-test.describe('Swagger Petstore API GET Test', () => {
-    
-    const petId = 1;
-    const petUrl = \`https://petstore.swagger.io/v2/pet/\${petId}\`;
-
-    test('should successfully retrieve pet ID 1 and verify basic structure', async ({ request }: { request: APIRequestContext }) => {
-        
-        await test.step(\`Retrieve pet \${petId} via GET request\`, async () => {
-            
-            const getResponse = await request.get(petUrl, {
-                headers: {
-                    'accept': 'application/json' 
-                }
-            });
-
-            expect(getResponse.status(), \`Expected Status 200 for \${petId}. Received: \${getResponse.status()}\`).toBe(200);
-            expect(getResponse.headers()['content-type']).toContain('application/json');
-
-            const pet = await getResponse.json();
-            
-            expect(pet.id).toBe(petId);
-            expect(typeof pet.status).toBe('string');
-            expect(pet.status.length).toBeGreaterThan(0);
-            
-            console.log(\`✅ Successfully retrieved pet ID \${petId} (\${pet.name}) with status: \${pet.status}\`);
-        });
-    });
-});
-`,
-    // --- UPDATED auth_storage.spec.ts (Now only verification) ---
-    [path.join('e2e.tests', 'tests', 'auth_storage.spec.ts')]: () => `
-// FIX: Changed from '~/fixtures/baseTest' to relative path
-import { test, expect } from '../fixtures/baseTest';
-
-const PROTECTED_URL = 'https://practicetestautomation.com/logged-in-successfully/';
-
-test.describe('Storage State Verification (After Global Setup)', () => {
-    
-    /**
-     * This test demonstrates that the session state saved by auth.setup.ts
-     * is automatically loaded by the browser context. This allows the test
-     * to start directly on the protected page, skipping the login UI.
-     */
-    test('should automatically access protected page using pre-loaded session', async ({ page }) => {
-        
-        await test.step('Navigate to Protected Page', async () => {
-            // Note: No login actions required here!
-            await page.goto(PROTECTED_URL);
-        });
-
-        // Verify successful access by checking for a protected element
-        await test.step('Verify Authenticated State', async () => {
-            const successMessage = page.locator('.post-title');
-            
-            await expect(successMessage).toBeVisible({ timeout: 10000 });
-            await expect(successMessage).toHaveText('Logged In Successfully');
-            await expect(page).toHaveURL(/.*logged-in-successfully/);
-            
-            console.log("✅ Successfully accessed protected page via pre-authenticated storage state.");
-        });
-    });
-});
-`,
-    // --- END UPDATED auth_storage.spec.ts ---
-    [path.join('e2e.tests', 'tests', 'a11y.spec.ts')]: () => `
-// FIX: Changed from '~/fixtures/baseTest' to relative path
-import { test } from "../fixtures/baseTest";
-test("placeholder a11y test", () => { /* Add Axe-core integration here */ });
-`,
-    [path.join('e2e.tests', 'tests', 'visual.spec.ts')]: () => `
-// FIX: Changed from '~/fixtures/baseTest' to relative path
-import { test, expect } from '../fixtures/baseTest';
-
-test.describe('Visual Regression Test', () => {
-    test('should match the baseline screenshot of the homepage body', async ({ page }) => {
-        // Removed 'waitUntil: domcontentloaded'
-        await page.goto('/');
-
-        const contentContainer = page.locator('#content');
-
-        await expect(contentContainer).toHaveScreenshot('homepage-content-baseline.png', {
-            maxDiffPixelRatio: 0.01
-        });
-    });
-});
-`,
-    [path.join('e2e.tests', 'tests', 'the-internet-sample.spec.ts')]: () => `
-// FIX: Changed from '~/fixtures/baseTest' to relative path
-import { test, expect } from '../fixtures/baseTest';
-
-test.describe('Video Recording Showcase', () => {
-  test('should navigate to A/B Testing page and verify header', async ({ page }) => {
-    await page.goto('/');
-
-    const abTestLink = page.getByRole('link', { name: 'A/B Testing' });
-    await expect(abTestLink).toBeVisible();
-    
-    await abTestLink.click();
-    
-    const newHeader = page.getByRole('heading', { level: 3 });
-    await expect(newHeader).toBeVisible();
-    
-    await expect(page).toHaveURL(/.*abtest/);
-  });
-});
-`,
-    [path.join('e2e.tests', 'tests', 'volatile.spec.ts')]: () => `
-// FIX: Changed from '~/fixtures/baseTest' to relative path
-import { test, expect, skipIfNoRetry } from '../fixtures/baseTest';
-
-test.describe('Volatile Test Suite Demonstrating Conditional Retries', () => {
-
-    test('should retry 2 times on failure (Default Global Behavior)', async ({ page }) => {
-        await page.goto('/');
-        await expect(page.locator('h1')).toBeVisible(); 
-    });
-
-    test('should skip on retry if tagged as volatile @no-retry', async ({ page, testInfo }) => {
-        
-        // --- CONDITIONAL RETRY LOGIC ---
-        skipIfNoRetry(testInfo);
-        // -------------------------------
-
-        await page.goto('/status_codes');
-        await page.getByRole('link', { name: '200' }).click();
-        await expect(page.locator('p')).toContainText('This page returned a 200 status code.');
-    });
-});
-`,
-    [path.join('e2e.tests', 'tests', 'expected-fail.spec.ts')]: () => `
-// This test is designed to FAIL intentionally to demonstrate Playwright's error logging, 
-// automatic retries (if configured), and screenshot capture on failure.
-// You should see this test retry and eventually fail in the console output.
-import { test, expect } from '../fixtures/baseTest';
-
-test.describe('Expected Failure Showcase', () => {
-    test('should fail to demonstrate error reporting and retry behavior', async ({ page }) => {
-        await page.goto('/');
-
-        // This assertion is GUARANTEED to fail because the homepage title is 'The Internet'
-        // and it will never be 'INTENTIONALLY FAILED TEST'.
-        await expect(page).toHaveTitle('INTENTIONALLY FAILED TEST', { timeout: 1000 });
-    });
-});
-`,
-    [path.join('e2e.tests', 'utils', 'GlobalData.ts')]: () => `
-import testData from '../testdata.json';
-
-// Utility class to load and expose data from testdata.json using the Singleton pattern.
-export class GlobalData {
-    private static instance: GlobalData;
-    public readonly app: { expectedTitle: string, expectedQuote: string, resumeLink: string };
-
-    private constructor() {
-        this.app = testData.app;
-    }
-
-    public static getInstance(): GlobalData {
-        if (!GlobalData.instance) {
-            GlobalData.instance = new GlobalData();
-        }
-        return GlobalData.instance;
-    }
-}
-`,
-    [path.join('e2e.tests', 'utils', 'TestUtils.ts')]: () => `
-import { Page } from '@playwright/test';
-
-// Utility class for common, reusable actions.
-export class TestUtils { 
-    constructor(private page: Page) {} 
-
-    /**
-     * Example: Custom wait function
-     */
-    async customWait(ms: number) {
-        await this.page.waitForTimeout(ms);
-        console.log(\`Waited for \${ms}ms.\`);
-    }
-}
-`,
-    [path.join('e2e.tests', 'tests', 'network_data.spec.ts')]: () => `
-// FIX: Changed from '~/fixtures/baseTest' to relative path
-import { test, expect } from '../fixtures/baseTest';
-
-test.describe('Network and Console Data Showcase (v1.56 New APIs)', () => {
-    
-    // --- SHOWCASE: page.consoleMessages() and page.pageErrors() (v1.56) ---
-    test('should capture and verify console log messages using new APIs', async ({ page }) => {
-        
-        await page.goto('/');
-
-        // Trigger console messages and an error on the client side
-        await page.evaluate(() => {
-            console.log('CLIENT_LOG: Page is fully loaded and interactive.');
-            console.error('CLIENT_ERROR: An expected non-fatal error occurred.');
-            // Note: page.pageErrors() will catch unhandled exceptions, not console.error
-        });
-        
-        // No manual listeners required! The new API gets recent messages.
-        const consoleMessages = await page.consoleMessages();
-        
-        const logMessage = consoleMessages.find(msg => msg.text().includes('CLIENT_LOG:'));
-        expect(logMessage, 'Expected console log message not found.').toBeDefined();
-        expect(logMessage!.type()).toBe('log');
-
-        const errorMessage = consoleMessages.find(msg => msg.text().includes('CLIENT_ERROR:'));
-        expect(errorMessage, 'Expected console error message not found.').toBeDefined();
-        expect(errorMessage!.type()).toBe('error');
-
-        // Optional: Example of checking for unhandled exceptions (pageErrors)
-        const pageErrors = await page.pageErrors();
-        expect(pageErrors.length, 'No unhandled page errors should have occurred.').toBe(0);
-    });
-
-    // --- SHOWCASE: page.requests() (v1.56) ---
-    test('should capture and verify network requests using new API', async ({ page }) => {
-        
-        // Navigating to the page generates network requests
-        await page.goto('/');
-        
-        // Wait for all network activity to finish
-        await page.waitForLoadState('networkidle');
-
-        // No manual listeners required! The new API gets recent requests.
-        const requests = await page.requests();
-
-        const mainRequest = requests.find(req => req.url().endsWith('/') && req.method() === 'GET');
-        expect(mainRequest, 'Main page request not found.').toBeDefined();
-        
-        // Await the response of the captured request
-        expect(mainRequest!.response()).toBeTruthy();
-        expect((await mainRequest!.response())!.status()).toBe(200);
-
-        const cssRequest = requests.find(req => req.resourceType() === 'stylesheet');
-        expect(cssRequest, 'A stylesheet request was expected.').toBeDefined();
-
-        console.log(\`Captured \${requests.length} total network requests during navigation (using page.requests()).\`);
-    });
-});
-`
-});
-
-
-// --- 2. HELPER FUNCTIONS (UTILITIES) ---
-
-function createDir(dirPath) {
-    try {
-        fs.mkdirSync(dirPath, { recursive: true });
-        console.log(`✅ Directory created: ${dirPath}`);
-    } catch (error) {
-        if (error.code !== 'EEXIST') {
-            throw error;
-        }
-    }
-}
-
-function writeFile(filePath, content) {
-    try {
-        fs.writeFileSync(filePath, content.trim() + '\n', 'utf8');
-        console.log(`✅ File created: ${filePath}`);
-    } catch (error) {
-        console.error(`❌ Error writing file ${filePath}: ${error.message}`);
-        throw new Error(`Failed to write critical file: ${filePath}`);
-    }
-}
-
-function promptUser(query, options = {}) {
-    const rl = readline.createInterface({
-        input: process.stdin,
-        output: process.stdout,
-    });
-    return new Promise(resolve => rl.question(query, ans => {
-        rl.close();
-
-        // Ensure ans is safely converted to a string before trimming
-        let result = String(ans || '').trim() || options.default;
-
-        if (options.type === 'boolean') {
-             // Resolve as true if the answer starts with 'y' or 'Y', otherwise false (defaulting to true)
-            return resolve(result.toLowerCase().startsWith('y') || result === '');
-        }
-
-        if (options.type === 'number') {
-            const num = parseInt(result, 10);
-            return resolve(isNaN(num) ? options.default : num);
-        }
-
-        if (options.type === 'multiselect') {
-            // If options.default was an array, result might be an array if input was empty.
-            if (Array.isArray(result)) {
-                return resolve(result);
-            }
-
-            const selection = result.split(',').map(s => s.trim().toLowerCase()).filter(s => s);
-            const validOptions = options.valid || [];
-
-            // Map common inputs to canonical names
-            const canonicalSelection = selection.map(s => {
-                if (s.includes('chrome') && !s.includes('mobile')) return 'chromium';
-                if (s.includes('firefox')) return 'firefox';
-                if (s.includes('webkit') || s.includes('safari')) return 'webkit';
-                if (s.includes('mobile')) return 'mobile-chrome';
-                return null;
-            }).filter(s => s && validOptions.includes(s));
-
-            // Ensure no duplicates
-            const finalSelection = [...new Set(canonicalSelection)];
-
-            return resolve(finalSelection.length > 0 ? finalSelection : options.default);
-        }
-
-        resolve(result);
-    }));
-}
-
-
-// --- 3. MODULAR SETUP FUNCTIONS (LOGIC) ---
-
-/**
- * Prompts the user for framework settings and handles directory setup.
- * CRITICAL: Changes the CWD to the determined frameworkRoot for simple npm/npx execution.
- * @returns {Promise<Object>} The configuration object.
- */
-async function getFrameworkSettings() {
-    const defaultTestDirName = 'e2e.tests';
-    const defaultRootName = 'tested-app';
-    const defaultBaseUrl = 'https://the-internet.herokuapp.com/';
-
-    // --- 1. Path Configuration ---
-    const parentDir = path.join(process.cwd(), '..');
-    const defaultFrameworkRoot = path.join(parentDir, defaultRootName);
-    const defaultTestDir = path.join(defaultFrameworkRoot, defaultTestDirName);
-
-    const inputPath = await promptUser(`Enter the full path to the E2E framework folder (Default: ${defaultTestDir}): `);
-
-    // CRITICAL FIX: Explicitly cast the awaited result to a string to prevent "Cannot read properties of undefined (reading 'trim')"
-    const safeInputPath = String(inputPath || '');
-
-    const testDir = safeInputPath.trim() || defaultTestDir;
-
-    const testDirName = path.basename(testDir);
-    const frameworkRoot = path.dirname(testDir);
-
-    console.log(`\nFramework Root Directory (for package.json): ${frameworkRoot}`);
-    console.log(`Framework Test Directory (for playwright.config.ts): ${testDir}\n`);
-
-    createDir(frameworkRoot);
-    process.chdir(frameworkRoot);
-
-    // --- 2. Base URL ---
-    const inputBaseUrl = await promptUser(`Enter the default Base URL for your application (Default: ${defaultBaseUrl}): `, { default: defaultBaseUrl });
-    const baseURL = inputBaseUrl;
-    console.log(`\nUsing Base URL: ${baseURL}`);
-
-    // --- 3. Concurrency and Retries (Robustness/Performance) ---
-    // ENHANCEMENT: Defaulted to 4 for better parallelism.
-    const maxWorkers = await promptUser(`Max Parallel Workers (e.g., 4, or leave blank for OS default 'undefined') (Default: 4): `, { type: 'number', default: 4 });
-    const retries = await promptUser(`Default Test Retries on failure (e.g., 2): `, { type: 'number', default: 2 });
-
-    // --- 4. Browser Selection (Scope) ---
-    const browserOptions = [
-        'chromium',
-        'firefox',
-        'webkit',
-        'mobile-chrome'
-    ];
-    const defaultBrowsers = ['chromium', 'firefox'];
-    const browserPrompt = `\nSelect browsers to include (Comma-separated: ${browserOptions.join(', ')} | Default: ${defaultBrowsers.join(', ')}): `;
-    const selectedBrowsers = await promptUser(browserPrompt, { type: 'multiselect', valid: browserOptions, default: defaultBrowsers });
-
-    console.log(`\nConfiguration Summary:`);
-    console.log(`- Max Workers: ${maxWorkers}`);
-    console.log(`- Test Retries: ${retries}`);
-    console.log(`- Browsers: ${selectedBrowsers.join(', ')}`);
-
-    return {
-        testDirName,
-        frameworkRoot,
-        baseURL,
-        // Set to 'undefined' if the user left it blank or entered 0, otherwise use the number
-        maxWorkers: (maxWorkers === 0 || maxWorkers === 'undefined') ? 'undefined' : String(maxWorkers),
-        retries,
-        browserProjects: selectedBrowsers
-    };
-}
-
-/**
- * Creates the internal directory structure relative to the new CWD (frameworkRoot).
- * @param {string} testDirName
- */
-function createStructure(testDirName) {
-    const frameworkPath = path.join(process.cwd(), testDirName);
-    createDir(frameworkPath);
-    // NEW DIRECTORY: For authentication state
-    createDir(path.join(process.cwd(), AUTH_DIR));
-
-    createDir(path.join(frameworkPath, 'fixtures'));
-    createDir(path.join(frameworkPath, 'pages'));
-    createDir(path.join(frameworkPath, 'tests'));
-    createDir(path.join(frameworkPath, 'utils'));
-}
-
-/**
- * Writes all framework files, using the new CWD (frameworkRoot) as the base.
- * @param {string} testDirName
- * @param {Object} config The configuration object containing dynamic values.
- */
-function writeFiles(testDirName, config) {
-    const fileContents = getFileContents();
-
-    for (const filePathKey in fileContents) {
-        let contentFunc = fileContents[filePathKey];
-        let content;
-        let finalPath;
-
-        if (filePathKey.includes('e2e.tests')) {
-            finalPath = filePathKey.replace('e2e.tests', testDirName);
-        } else {
-            finalPath = filePathKey;
-        }
-
-        // Handle content generation for config, README, and generic functions
-        if (filePathKey.includes('playwright.config.ts')) {
-            content = contentFunc(testDirName, config);
-        } else if (filePathKey === 'README.md') {
-            // README content requires variable replacement
-            content = contentFunc()
-                .replace('{__RETRIES__}', config.retries)
-                .replace('{__WORKERS__}', config.maxWorkers)
-                .replace('{__BROWSERS__}', config.browserProjects.join(', '))
-                .replace('{__BASE_URL__}', config.baseURL);
-        } else if (typeof contentFunc === 'function') {
-            // Handle content generation for auth.setup.ts, which is a function that returns a template string
-            content = contentFunc(testDirName);
-        } else {
-            // This handles non-function content like .gitignore
-            content = contentFunc;
-        }
-
-        writeFile(finalPath, content);
-    }
-}
-
-/**
- * Runs the verification tests and includes the intentionally failing test.
- * @param {string} testDirName
- * @param {Object} config The configuration object.
- */
-function runVerificationTests(testDirName, config) {
-    console.log(`\n======================================================`);
-    console.log(`🔬 Running initial verification tests...`);
-    console.log(`======================================================`);
-
-    const expectedFailPath = `${testDirName}/tests/expected-fail.spec.ts`;
-
-    console.log(`\n📢 **IMPORTANT NOTE** 📢`);
-    console.log(`The test **${expectedFailPath}** is INTENTIONALLY designed to fail.`);
-    console.log(`This is to demonstrate Playwright's error reporting, failure screenshots,`);
-    console.log(`and the retry mechanism (set to **${config.retries}** retries).`);
-    console.log(`The final report will correctly show one expected failure.`);
-
-    // Include the new auth_storage.spec.ts
-    const allTests = `${testDirName}/tests/seed.spec.ts ${testDirName}/tests/the-internet-sample.spec.ts ${testDirName}/tests/network_data.spec.ts ${testDirName}/tests/api.spec.ts ${testDirName}/tests/visual.spec.ts ${testDirName}/tests/volatile.spec.ts ${testDirName}/tests/auth_storage.spec.ts ${expectedFailPath}`;
-    const fullVerificationCommand = `npx playwright test --config=${testDirName}/playwright.config.ts ${allTests} --update-snapshots`;
-
-    console.log(`\n--- Running Global Setup, Creating Baseline Snapshot & Full Suite (Including Expected Failure) ---`);
-
-    try {
-        // This command is expected to throw because expected-fail.spec.ts fails.
-        execSync(fullVerificationCommand, { stdio: ['ignore', 'inherit', 'inherit'] });
-
-        // This code path should theoretically not be reached unless the expected-fail test is removed or fixed.
-        console.log(`--- Baseline Snapshot Created and Full Suite Run Successfully ---`);
-
-    } catch (error) {
-        // If we catch an error, it is likely due to the expected test failure (non-zero status).
-        // A non-zero status means tests failed, but the command itself ran successfully.
-        if (error.status !== undefined && error.status !== 0) {
-            console.log(`\n--- Verification Run Complete with Expected Failures (Exit Code ${error.status}) ---`);
-            console.log(`✅ This is the intended behavior. The 'expected-fail.spec.ts' failed, successfully demonstrating the error and retry logic.`);
-            console.log(`--- Baseline Snapshot Created ---`);
-        } else {
-            // If the status is undefined or zero, but an error was still caught, re-throw a real fatal error.
-            throw error;
-        }
-    }
-}
-
-function installDependencies() {
-    console.log(`\n======================================================`);
-    console.log(`📦 Installing dependencies (in ${process.cwd()})...`);
-    console.log(`======================================================`);
-    execSync('npm install', { stdio: 'inherit' });
-
-    console.log(`\n======================================================`);
-    console.log(`💻 Installing browser binaries...`);
-    console.log(`======================================================`);
-    execSync('npx playwright install', { stdio: 'inherit' });
-}
-
-function initializeVsCodeAgent() {
-    console.log(`\n======================================================`);
-    console.log(`🤖 Initializing Playwright VS Code Debugging Agent...`);
-    console.log(`   (Required for the v1.56 Test Agents feature)`);
-    console.log(`======================================================`);
-    try {
-        // Run init-agents for VS Code as a standard setup step
-        execSync('npx playwright init-agents --loop=vscode', { stdio: 'inherit' });
-        console.log(`✅ VS Code Agent setup files completed (.vscode folder created).`);
-    } catch (error) {
-        console.log(`⚠️ VS Code Agent setup failed. This feature requires Playwright >= 1.56. Not critical for basic test execution.`);
-    }
-}
-
-
-// --- 4. MAIN EXECUTION ---
-
-async function setupFramework() {
-    console.log(`\n======================================================`);
-    console.log(`🚀 Playwright E2E Framework Bootstrap (v1.56 Ready)`);
-    console.log(`======================================================`);
-
-    try {
-        // ENHANCEMENT: Ask if user wants to run tests before installation begins
-        const shouldRunTests = await promptUser(
-            'Do you want to run the initial verification tests after installation (Recommended: Y/n)? ',
-            { type: 'boolean', default: true }
-        );
-
-        if (!shouldRunTests) {
-            console.log("\n⚠️ Skipping initial test execution as requested. Remember to run 'npm test' later!");
-        }
-
-        const config = await getFrameworkSettings();
-
-        createStructure(config.testDirName);
-        writeFiles(config.testDirName, config);
-        installDependencies();
-
-        // Conditional test run
-        if (shouldRunTests) {
-            runVerificationTests(config.testDirName, config);
-        }
-
-        initializeVsCodeAgent();
-
-        // 7. Final Instructions
-        console.log(`\n======================================================`);
-        console.log(`🎉 Setup Complete!`);
-        console.log(`======================================================`);
-        console.log(`\nYour Playwright framework is ready at root: **${config.frameworkRoot}**`);
-        console.log(`The test directory is: **${path.join(config.frameworkRoot, config.testDirName)}**`);
-        console.log(`\n--- Next Steps ---`);
-        console.log(`1. **Authentication**: The session for **student/Password123** is saved to **${path.join(config.frameworkRoot, STORAGE_STATE_FILE)}** and is loaded automatically for all UI tests.`);
-        if (!shouldRunTests) {
-             console.log(`2. **Run Tests Now**: Execute 'npm test' to verify the installation and create visual snapshots.`);
-        }
-        console.log(`2. View the full HTML report by running: **npm run report**`);
-        console.log(`3. **Manual Validation**: Inspect snapshots in '${config.testDirName}/tests/visual.spec.ts-snapshots' to confirm the visual baseline is correct.`);
-
-    } catch (error) {
-        console.error(`\n\n❌ Fatal Error during setup. Execution failed.`);
-        console.error(`Error details: ${error.message}`);
-        process.exit(1);
-    }
-}
-
-(async () => {
-    await setupFramework();
-})();
+// bootstrap-playwright.js
+// This script initializes a Playwright E2E framework.
+// FIX: Implements try/catch around 'execSync' for the test run to gracefully handle the intentionally failing test.
+// v1.56 UPDATE: Updated README.md and network_data.spec.ts to showcase new APIs and Test Agents.
+// ENHANCEMENT: Added pre-install prompt to skip test execution and defaulted parallel workers for speed.
+// 🌟 NEW ENHANCEMENT: Implemented best-practice authentication using globalSetup (auth.setup.ts) and storageState.
+// 🐞 BUG FIXES:
+// 1. Corrected path handling in auth.setup.ts to avoid "Bad character escape sequence" error on Windows.
+// 2. Corrected auth.setup.ts to use 'chromium.launch()' instead of 'test.request.newContext()' for UI login.
+// ENHANCEMENT: Non-interactive mode. Every prompt can be answered by a CLI flag, bootstrap.config.json or a
+// PW_BOOTSTRAP_* environment variable (resolved in that order) before falling back to the interactive prompt.
+// ENHANCEMENT: --dry-run previews the resolved config, directory tree, rendered files (or diffs) and commands
+// without touching the disk. The script no longer calls process.chdir; commands run with an explicit cwd instead.
+// ENHANCEMENT: Safe re-runs. A manifest of generated files and their template hashes is kept in .playwright-bootstrap/.
+// Untouched files are upgraded in place; user-modified files are skipped, overwritten, written as .new or 3-way merged.
+// ENHANCEMENT: Integrate mode for existing projects. Scripts and devDependencies are merged into package.json,
+// missing .gitignore lines are appended, and tsconfig.json/README.md are scoped to the test directory.
+// ENHANCEMENT: Transactional setup. Every directory and file created by a run is tracked and rolled back on failure,
+// or kept with --keep-on-failure together with a state file that --resume uses to continue from the failed step.
+// REFACTOR: The script is now a module. require() it and call the exported async bootstrap(options), which returns
+// a result object; the CLI is a thin wrapper. Logging, process execution and prompting are injectable.
+// ENHANCEMENT: Template packs (--template <name|path>, composable) add, replace or remove entries of the file map
+// and contribute placeholders, which are now substituted in every generated file.
+// ENHANCEMENT: Configurable authentication strategies: form login, API token (cookie or Bearer header),
+// HTTP basic auth via httpCredentials, or none (no globalSetup/storageState). Template functions may return null to skip a file.
+// ENHANCEMENT: Multiple roles (e.g. admin, user, guest), each with its own credentials and storage file under auth/.
+// The global setup logs in every role, and specs pick their identity with test.use({ role }) from baseTest.ts.
+// ENHANCEMENT: --auth-mode setup-project runs the login as a 'setup' project that the browser projects depend on
+// (reported, traced and retried like any test), with a matching 'teardown' project.
+// ENHANCEMENT: The auth setup reuses a saved session while its cookies (or JWT) have not expired and an optional
+// probe request still succeeds. FORCE_LOGIN=1 always logs in again.
+// ENHANCEMENT: Environment profiles. Base URL, API URL and credentials live in git-ignored .env.<profile> files
+// next to the config (with a committed .env.example), selected with TEST_ENV. Missing variables fail fast.
+// ENHANCEMENT: Real accessibility testing with @axe-core/playwright: an a11y fixture with configurable WCAG tags,
+// disabled rules and a baseline of known violations, attaching a violations table to the HTML report.
+// ENHANCEMENT: A dependency-free local demo app (pages, login form, JSON pet API) started via webServer,
+// so the example specs and the verification run work offline. The public sites are opt-in with --samples public.
+// ENHANCEMENT: A `network` fixture that records HAR files per test into mocks/, replays them with MOCK_MODE=replay,
+// registers declarative JSON stubs and reports requests nothing answered (failing the test with MOCK_STRICT=1).
+// ENHANCEMENT: --openapi generates a typed client (the `api` fixture) and a `toMatchSchema` matcher from an
+// OpenAPI/Swagger document; `npm run api:generate` refreshes both when the spec changes.
+// ENHANCEMENT: `npm run snapshots:review` lists new, changed and orphaned baselines on a local page with
+// baseline/actual/diff views, and writes only the approved snapshots into the baseline folders.
+// ENHANCEMENT: Visual comparison settings (thresholds, default masks, stable rendering with an injected stylesheet)
+// and per-project, per-platform baseline paths, applied by a `visual` fixture.
+// ENHANCEMENT: A reporter that keeps pass/fail/flaky history per test, a tag-based quarantine whose failures
+// do not fail the build, and `npm run report:flaky` to suggest tests to quarantine or release.
+// ENHANCEMENT: Reporter selection for local and CI runs (JUnit, JSON and blob output with fixed paths),
+// plus `test:ci` and `report:merge` scripts for pipelines and sharded runs.
+// ENHANCEMENT: CI pipeline generation (GitHub Actions, GitLab CI, Azure Pipelines, Jenkins) that runs the
+// suite sharded across N jobs, caches browsers, keeps failure artifacts and merges the shard reports.
+// ENHANCEMENT: Optional Dockerfile, docker-compose.yml and devcontainer on the official Playwright image, so tests
+// and visual baselines always run in the same Linux environment (`npm run test:docker`).
+// ENHANCEMENT: Package manager detection (lockfiles, `packageManager`, user agent) with `--pm` to override it:
+// npm, pnpm, yarn and bun are used for installs, scripts, pipelines and instructions, workspace-aware in monorepos.
+// ENHANCEMENT: `--playwright-version` pins @playwright/test (examples needing a newer release are left out, older
+// releases are refused), `--offline` installs from a local cache or tarballs and `--install-browsers` picks the binaries.
+// ENHANCEMENT: A validation step after installation type-checks the generated files (`npm run typecheck`), loads
+// playwright.config.ts with `playwright test --list` and checks the project devices, before any browser runs.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execSync } = require('child_process');
+const readline = require('readline');
+
+// --- CONSTANTS FOR AUTH SETUP ---
+const AUTH_DIR = 'auth';
+// Every role saves its session (or, for the 'api-token' header strategy, its token) under AUTH_DIR
+const getStorageStateFile = (role) => path.join(AUTH_DIR, `${role}.json`);
+const getTokenFile = (role) => path.join(AUTH_DIR, `${role}.token.json`);
+const DEFAULT_ROLES = ['user'];
+// A role with this name browses anonymously unless credentials are given for it
+const GUEST_ROLE = 'guest';
+// The environment variable prefix of a role's credentials, e.g. ADMIN_USERNAME
+const getRoleEnvPrefix = (role) => role.toUpperCase().replace(/-/g, '_');
+const DEFAULT_ENV_PROFILES = ['dev', 'staging', 'prod'];
+const AUTH_STRATEGIES = ['form', 'api-token', 'basic', 'none'];
+const AUTH_MODES = ['global-setup', 'setup-project'];
+// The public practice site's login form. The local demo app mirrors it on its own origin (see getDefaultFormAuth()).
+const DEFAULT_FORM_AUTH = {
+    loginUrl: 'https://practicetestautomation.com/practice-test-login/',
+    usernameSelector: '#username',
+    passwordSelector: '#password',
+    submitSelector: '#submit',
+    successUrl: 'https://practicetestautomation.com/logged-in-successfully/',
+    successSelector: '.post-title',
+    username: 'student',
+    password: 'Password123',
+};
+// ---
+
+// --- CONSTANTS FOR THE LOCAL DEMO APP ---
+// Where the example specs run: the generated demo app, or the public practice sites
+const SAMPLE_TARGETS = ['local', 'public'];
+const DEMO_APP_PORT = 3210;
+const DEMO_APP_URL = `http://localhost:${DEMO_APP_PORT}/`;
+const PUBLIC_BASE_URL = 'https://the-internet.herokuapp.com/';
+// ---
+
+// --- CONSTANTS FOR ACCESSIBILITY CHECKS ---
+const DEFAULT_A11Y_TAGS = ['wcag2a', 'wcag2aa'];
+// ---
+
+// --- CONSTANTS FOR VISUAL COMPARISON ---
+// Baselines per project and platform: a baseline recorded on macOS is never compared on Linux CI
+const DEFAULT_SNAPSHOT_PATH_TEMPLATE = '__screenshots__/{projectName}/{platform}/{testFilePath}/{arg}{ext}';
+const DEFAULT_VISUAL_MAX_DIFF_PIXEL_RATIO = 0.01;
+const DEFAULT_VISUAL_THRESHOLD = 0.2;
+// ---
+
+// --- CONSTANTS FOR REPORTERS ---
+const REPORTERS = ['list', 'dot', 'line', 'github', 'html', 'junit', 'json', 'blob'];
+// Where the file-writing reporters put their output, relative to the test folder
+const REPORTER_OPTIONS = {
+    html: "{ open: 'never', outputFolder: 'html-report' }",
+    junit: "{ outputFile: 'reports/junit.xml' }",
+    json: "{ outputFile: 'reports/results.json' }",
+    blob: "{ outputDir: 'blob-report' }",
+};
+const DEFAULT_REPORTERS = ['list', 'html'];
+const DEFAULT_CI_REPORTERS = ['dot', 'html', 'junit', 'json', 'blob'];
+// ---
+
+// --- CONSTANTS FOR CI PIPELINES ---
+const CI_PROVIDERS = ['none', 'github', 'gitlab', 'azure', 'jenkins'];
+const DEFAULT_CI_SHARDS = 2;
+const CI_NODE_VERSION = '20';
+// ---
+
+// --- CONSTANTS FOR PACKAGE MANAGERS ---
+// How each package manager installs, runs a package.json script and runs a binary of the installed packages.
+// `argsSeparator` is what goes between a script name and the arguments passed on to it.
+const PACKAGE_MANAGERS = {
+    npm: { lockfiles: ['package-lock.json'], install: 'npm install', frozenInstall: 'npm ci', run: 'npm run', exec: 'npx', argsSeparator: '-- ' },
+    pnpm: { lockfiles: ['pnpm-lock.yaml'], install: 'pnpm install', frozenInstall: 'pnpm install --frozen-lockfile', run: 'pnpm run', exec: 'pnpm exec', argsSeparator: '' },
+    yarn: { lockfiles: ['yarn.lock'], install: 'yarn install', frozenInstall: 'yarn install --frozen-lockfile', run: 'yarn run', exec: 'yarn', argsSeparator: '' },
+    bun: { lockfiles: ['bun.lock', 'bun.lockb'], install: 'bun install', frozenInstall: 'bun install --frozen-lockfile', run: 'bun run', exec: 'bunx', argsSeparator: '' },
+};
+// ---
+
+// --- CONSTANTS FOR PLAYWRIGHT VERSIONS ---
+// @playwright/test is pinned to an exact version, so the installed browsers, the Docker image and the templates agree
+const DEFAULT_PLAYWRIGHT_VERSION = '1.56.0';
+// The Playwright APIs the templates rely on, with the release that introduced them. Optional examples are
+// left out for older releases; every other feature sets the minimum version the framework can be generated for.
+const PLAYWRIGHT_FEATURES = [
+    { since: '1.56.0', optional: true, feature: 'page.consoleMessages(), page.pageErrors() and page.requests() (tests/network_data.spec.ts)' },
+    { since: '1.56.0', optional: true, feature: 'Test Agents (playwright init-agents)' },
+    { since: '1.50.0', feature: '--update-snapshots=none (scripts/review-snapshots.js)' },
+    { since: '1.43.0', feature: 'testInfo.tags (@no-retry and @quarantine handling)' },
+    { since: '1.42.0', feature: 'tags and annotations in the test details (utils/quarantine.ts)' },
+    { since: '1.41.0', feature: 'stylePath for toHaveScreenshot (visual.css)' },
+    { since: '1.37.0', feature: 'blob reports and merge-reports' },
+];
+const INSTALLABLE_BROWSERS = ['chromium', 'firefox', 'webkit'];
+// The browser projects that can be selected, with the Playwright device descriptor each one runs
+const BROWSER_PROJECT_DEVICES = {
+    'chromium': 'Desktop Chrome',
+    'firefox': 'Desktop Firefox',
+    'webkit': 'Desktop Safari',
+    'mobile-chrome': 'Pixel 5',
+};
+// ---
+
+// --- CONSTANTS FOR NON-INTERACTIVE MODE ---
+const BOOTSTRAP_CONFIG_FILE = 'bootstrap.config.json';
+const ENV_PREFIX = 'PW_BOOTSTRAP_';
+// Run through the package manager's binary runner (npx, pnpm exec, ...)
+const AGENT_INIT_COMMAND = 'playwright init-agents --loop=vscode';
+const CONFLICT_STRATEGIES = ['skip', 'overwrite', 'new', 'merge'];
+// Every supported flag. Settings use the camelCase name as their key in the config file
+// (e.g. --base-url -> "baseUrl") and the upper snake case name as their env variable (PW_BOOTSTRAP_BASE_URL).
+const CLI_FLAGS = {
+    'dir': { description: 'Full path to the E2E test folder. Its parent folder becomes the framework root.' },
+    'samples': { description: `Where the example specs run: ${SAMPLE_TARGETS.map(target => `'${target}'`).join(' or ')} (Default: local, a demo app started by Playwright).` },
+    'base-url': { description: 'Default Base URL of the application under test.' },
+    'api-url': { description: 'Base URL of the API under test (Default: the base URL).' },
+    'env-profiles': { description: `Comma-separated environment profiles, selected with TEST_ENV. The first one is the default (Default: ${DEFAULT_ENV_PROFILES.join(', ')}).` },
+    'a11y-tags': { description: `Comma-separated axe-core tags to check (Default: ${DEFAULT_A11Y_TAGS.join(', ')}).` },
+    'a11y-disable-rules': { description: 'Comma-separated axe-core rule ids to skip (Default: none).' },
+    'openapi': { description: 'Path to an OpenAPI 3 or Swagger 2 document (JSON or YAML) to generate a typed API client and schema matcher from (Default: none).' },
+    'visual-max-diff-pixel-ratio': { description: `Share of pixels (0-1) a screenshot may differ from its baseline (Default: ${DEFAULT_VISUAL_MAX_DIFF_PIXEL_RATIO}).` },
+    'visual-threshold': { description: `Per-pixel color difference (0-1) still counted as equal (Default: ${DEFAULT_VISUAL_THRESHOLD}).` },
+    'visual-masks': { description: 'Comma-separated selectors of dynamic regions masked in every screenshot (Default: none).' },
+    'visual-stable-rendering': { boolean: true, description: 'Disable animations, hide the caret and inject visual.css before screenshots (Default: true).' },
+    'snapshot-path-template': { description: `Where baselines are stored, relative to the test folder (Default: ${DEFAULT_SNAPSHOT_PATH_TEMPLATE}).` },
+    'reporters': { description: `Comma-separated reporters for local runs: ${REPORTERS.join(', ')} (Default: ${DEFAULT_REPORTERS.join(',')}).` },
+    'ci-reporters': { description: `Comma-separated reporters used when CI is set (Default: ${DEFAULT_CI_REPORTERS.join(',')}).` },
+    'ci-provider': { description: `CI pipeline to generate: ${CI_PROVIDERS.join(', ')} (Default: none).` },
+    'ci-shards': { description: `Number of parallel jobs the CI pipeline splits the suite into (Default: ${DEFAULT_CI_SHARDS}).` },
+    'pm': { description: `Package manager: ${Object.keys(PACKAGE_MANAGERS).join(', ')} (Default: detected from lockfiles, packageManager or the user agent, else npm).` },
+    'playwright-version': { description: `Exact @playwright/test version to install and pin (Default: ${DEFAULT_PLAYWRIGHT_VERSION}).` },
+    'offline': { boolean: true, description: 'Install without network access: from the package manager cache (or --offline-packages) and already installed browsers.' },
+    'offline-packages': { description: 'With --offline: an npm cache directory, a folder of .tgz tarballs (npm) or a pnpm store to install from.' },
+    'install-browsers': { description: `Browser binaries to install: ${INSTALLABLE_BROWSERS.join(', ')} or none (Default: the browsers of the selected projects).` },
+    'docker': { boolean: true, description: 'Generate a Dockerfile, docker-compose.yml and devcontainer on the official Playwright image.' },
+    'workers': { description: 'Max parallel workers (0 for the OS default).' },
+    'retries': { description: 'Default test retries on failure.' },
+    'browsers': { description: 'Comma-separated browser projects: chromium, firefox, webkit, mobile-chrome.' },
+    'auth-strategy': { description: `Authentication strategy: ${AUTH_STRATEGIES.join(', ')} (Default: form).` },
+    'auth-mode': { description: `form, api-token: Run the login as ${AUTH_MODES.join(' or as a ')} (Default: global-setup).` },
+    'auth-login-url': { description: 'form: URL of the login page.' },
+    'auth-username-selector': { description: 'form: Selector of the username field.' },
+    'auth-password-selector': { description: 'form: Selector of the password field.' },
+    'auth-submit-selector': { description: 'form: Selector of the submit button.' },
+    'auth-success-url': { description: 'form: URL the login redirects to on success.' },
+    'auth-success-selector': { description: 'form: Selector that is visible once logged in.' },
+    'auth-token-url': { description: 'api-token: Endpoint that receives a JSON { username, password } POST.' },
+    'auth-token-field': { description: 'api-token: Dot path of the token in the JSON response (Default: token).' },
+    'auth-token-storage': { description: "api-token: 'cookie' (the endpoint sets a session cookie) or 'header' (sent as a Bearer token)." },
+    'auth-probe-url': { description: 'form, api-token: Authenticated URL that must answer 2xx before a saved session is reused (Default: none, only expiry is checked).' },
+    'auth-username': { description: 'form, api-token, basic: Username of the default (first) role.' },
+    'auth-password': { description: 'form, api-token, basic: Password of the default (first) role.' },
+    'roles': { description: `Comma-separated roles to log in as. The first one is the default (Default: ${DEFAULT_ROLES.join(', ')}).` },
+    'role-credentials': { multiple: true, description: `Credentials of a role as <role>=<username>:<password> (or <role>= to browse anonymously). Repeat for each role. '${GUEST_ROLE}' is anonymous by default.` },
+    'template': { multiple: true, description: 'Template pack to apply: a directory or npm package. Repeat (or comma-separate) to compose packs in order.' },
+    'integrate': { boolean: true, description: 'Merge into the existing project in the framework root instead of replacing its files.' },
+    'skip-tests': { boolean: true, description: 'Do not run the initial verification tests after installation.' },
+    'skip-validation': { boolean: true, description: 'Do not type-check the generated files and load playwright.config.ts before the tests run.' },
+    'on-conflict': { description: `How to handle generated files you have modified: ${CONFLICT_STRATEGIES.join(', ')} (Default: prompt, or 'new' with --yes).` },
+    'keep-on-failure': { boolean: true, description: 'Keep everything a failed run created and save a state file for --resume.' },
+    'resume': { cliOnly: true, description: 'Continue a failed run from its framework root (or state file) instead of starting over.' },
+    'dry-run': { boolean: true, description: 'Preview the config, directories, files and commands without making any changes.' },
+    'yes': { boolean: true, description: 'Accept the default for every setting that was not provided.' },
+    'config': { cliOnly: true, description: `Path to the bootstrap config file (Default: ./${BOOTSTRAP_CONFIG_FILE}).` },
+    'help': { boolean: true, cliOnly: true, description: 'Show this help text.' },
+};
+// ---
+
+// --- CONSTANTS FOR SAFE RE-RUNS ---
+// Bootstrap bookkeeping lives in one hidden folder in the framework root. Commit it, so every clone can be upgraded safely.
+const BOOTSTRAP_STATE_DIR = '.playwright-bootstrap';
+const MANIFEST_FILE = path.join(BOOTSTRAP_STATE_DIR, 'manifest.json');
+// Written only when a run fails with --keep-on-failure. Machine-specific, so it is git-ignored.
+const RUN_STATE_FILE = path.join(BOOTSTRAP_STATE_DIR, 'state.json');
+// Data the tests maintain themselves. Written once, then left alone and never recorded in the manifest.
+const USER_OWNED_FILES = [path.join('e2e.tests', 'a11y-baseline.json')];
+// ---
+
+// --- CONSTANTS FOR INTEGRATE MODE ---
+// Files owned by the existing project. They are merged into instead of being generated wholesale.
+const MERGED_PROJECT_FILES = ['package.json', '.gitignore'];
+// Only one of the two tsconfig templates is generated, depending on the mode
+const STANDALONE_ONLY_FILES = ['tsconfig.json'];
+const INTEGRATE_ONLY_FILES = [path.join('e2e.tests', 'tsconfig.json')];
+// ---
+
+// --- 1. FILE CONTENT DEFINITIONS (STATIC DATA) ---
+
+const getFileContents = () => ({
+    'package.json': (testDirName, config) => `
+{
+  "name": "playwright-e2e-framework",
+  "version": "1.0.0",
+  "description": "Playwright E2E tests for the resume application.",
+  "scripts": {
+    "test": "playwright test --config=${testDirName}/playwright.config.ts",
+    "test:ui": "playwright test --config=${testDirName}/playwright.config.ts --ui",
+    "test:ci": "cross-env CI=1 playwright test --config=${testDirName}/playwright.config.ts",
+    "test:visual": "playwright test --config=${testDirName}/playwright.config.ts ${testDirName}/tests/visual.spec.ts",
+    "test:visual:update": "playwright test --config=${testDirName}/playwright.config.ts ${testDirName}/tests/visual.spec.ts --update-snapshots",${config.docker ? `
+    "test:docker": "docker compose run --rm test npx playwright test --config=${testDirName}/playwright.config.ts",
+    "test:visual:update:docker": "docker compose run --rm test npx playwright test --config=${testDirName}/playwright.config.ts ${testDirName}/tests/visual.spec.ts --update-snapshots",` : ''}
+    "snapshots:review": "node ${testDirName}/scripts/review-snapshots.js",
+    "report": "playwright show-report ${testDirName}/html-report",${usesBlobReporter(config) ? `
+    "report:merge": "playwright merge-reports --config=${testDirName}/merge.config.ts ${testDirName}/blob-report",` : ''}
+    "report:flaky": "node ${testDirName}/scripts/flaky-report.js",
+    "typecheck": "tsc --noEmit -p ${getTsconfigPath(config)}"${config.openapi ? `,
+    "api:generate": ${JSON.stringify(`node ${testDirName}/api/generate-client.js ${/\s/.test(config.openapi) ? JSON.stringify(config.openapi) : config.openapi}`)}` : ''}
+  },
+  "keywords": [
+    "playwright",
+    "e2e",
+    "automation",
+    "typescript"
+  ],
+  "devDependencies": {
+    "@playwright/test": "${config.playwrightVersion}",
+    "playwright-core": "${config.playwrightVersion}",
+    "@types/node": "^20.10.0",
+    "typescript": "^5.4.0",
+    "@axe-core/playwright": "^4.10.0",
+    "dotenv": "^16.4.5",
+    "cross-env": "^7.0.3"${config.openapi ? `,
+    "ajv": "^8.17.1",
+    "yaml": "^2.5.0"` : ''}
+  }
+}
+`,
+    '.gitignore': (testDirName, config) => `
+/node_modules
+/test-artifacts/
+/html-report/
+/playwright-report/
+/screenshots/
+/${testDirName}/tests/visual.spec.ts-snapshots
+/${testDirName}/snapshot-review/
+/${testDirName}/test-history.json
+/${testDirName}/reports/
+/${testDirName}/blob-report/
+.env
+.env.*
+!.env.example
+.DS_Store
+/dist
+/build
+${config.auth.strategy !== 'none' ? `/${AUTH_DIR}
+` : ''}/${BOOTSTRAP_STATE_DIR}/state.json
+`,
+    // --- CI PIPELINES: only the file of the selected provider is generated ---
+    [path.join('.github', 'workflows', 'playwright.yml')]: (testDirName, config) => config.ci.provider !== 'github' ? null : `
+# Runs the Playwright suite sharded across ${config.ci.shards} job(s) and merges the shard reports into one HTML report.
+# Set the credentials as repository secrets and, to override the URLs, BASE_URL and API_URL as repository variables.
+name: Playwright Tests
+
+on:
+  push:
+    branches: [main, master]
+  pull_request:
+  workflow_dispatch:
+
+jobs:
+  test:
+    name: Playwright (shard \${{ matrix.shardIndex }}/\${{ matrix.shardTotal }})
+    runs-on: ubuntu-latest
+    timeout-minutes: 60
+    strategy:
+      fail-fast: false
+      matrix:
+        shardIndex: [${Array.from({ length: config.ci.shards }, (_, index) => index + 1).join(', ')}]
+        shardTotal: [${config.ci.shards}]
+    env:
+${getCiVariables(config).map(variable => `      ${variable.name}: ${variable.secret
+        ? `\${{ secrets.${variable.name} }}`
+        : `\${{ vars.${variable.name} || '${String(variable.value).replace(/'/g, "''")}' }}`}`).join('\n')}
+    steps:
+      - uses: actions/checkout@v4
+      - uses: actions/setup-node@v4
+        with:
+          node-version: ${CI_NODE_VERSION}${config.packageManager.name === 'npm' ? `
+          cache: npm` : ''}
+      - name: Install dependencies
+        run: ${getCiInstallCommand(config)}
+      - name: Cache Playwright browsers
+        id: playwright-cache
+        uses: actions/cache@v4
+        with:
+          path: ~/.cache/ms-playwright
+          key: playwright-\${{ runner.os }}-\${{ hashFiles('${getLockfile(config)}') }}
+      - name: Install Playwright browsers
+        if: steps.playwright-cache.outputs.cache-hit != 'true'
+        run: ${pmExec(config, `playwright install --with-deps ${getProjectBrowsers(config).join(' ')}`)}
+      - name: Install browser system dependencies
+        if: steps.playwright-cache.outputs.cache-hit == 'true'
+        run: ${pmExec(config, `playwright install-deps ${getProjectBrowsers(config).join(' ')}`)}
+      - name: Run Playwright tests
+        run: ${getCiTestCommand(testDirName, config, '${{ matrix.shardIndex }}/${{ matrix.shardTotal }}')}
+      - name: Upload blob report
+        if: \${{ !cancelled() }}
+        uses: actions/upload-artifact@v4
+        with:
+          name: blob-report-\${{ matrix.shardIndex }}
+          path: ${testDirName}/blob-report
+          retention-days: 1
+      - name: Upload traces, videos and test artifacts
+        if: failure()
+        uses: actions/upload-artifact@v4
+        with:
+          name: test-artifacts-\${{ matrix.shardIndex }}
+          path: ${testDirName}/test-artifacts
+          retention-days: 7
+
+  merge-reports:
+    name: Merge reports
+    if: \${{ !cancelled() }}
+    needs: [test]
+    runs-on: ubuntu-latest
+    steps:
+      - uses: actions/checkout@v4
+      - uses: actions/setup-node@v4
+        with:
+          node-version: ${CI_NODE_VERSION}${config.packageManager.name === 'npm' ? `
+          cache: npm` : ''}
+      - name: Install dependencies
+        run: ${getCiInstallCommand(config)}
+      - name: Download blob reports
+        uses: actions/download-artifact@v4
+        with:
+          path: ${testDirName}/blob-report
+          pattern: blob-report-*
+          merge-multiple: true
+      - name: Merge into one HTML report
+        run: ${pmRun(config, 'report:merge')}
+      - name: Upload HTML report
+        uses: actions/upload-artifact@v4
+        with:
+          name: html-report
+          path: ${testDirName}/html-report
+          retention-days: 14
+`,
+    '.gitlab-ci.yml': (testDirName, config) => config.ci.provider !== 'gitlab' ? null : `
+# Runs the Playwright suite sharded across ${config.ci.shards} job(s) and merges the shard reports into one HTML report.
+# Set the credentials as masked CI/CD variables; CI/CD variables also override the URLs below.
+stages:
+  - test
+  - report
+
+variables:
+${getCiVariables(config).filter(variable => !variable.secret).map(variable => `  ${variable.name}: ${JSON.stringify(String(variable.value))}`).join('\n')}
+  # Keeps npm packages and browsers inside the project, so the job cache can hold them
+  npm_config_cache: "$CI_PROJECT_DIR/.npm"
+  PLAYWRIGHT_BROWSERS_PATH: "$CI_PROJECT_DIR/.cache/ms-playwright"
+
+default:
+  image: node:${CI_NODE_VERSION}-bookworm
+  cache:
+    key:
+      files:
+        - ${getLockfile(config)}
+    paths:
+      - .npm/
+      - .cache/ms-playwright/
+  before_script:
+    - ${getCiInstallCommand(config)}
+
+playwright:
+  stage: test
+  timeout: 1h${config.ci.shards > 1 ? `
+  parallel: ${config.ci.shards}` : ''}
+  script:
+    - ${pmExec(config, `playwright install --with-deps ${getProjectBrowsers(config).join(' ')}`)}
+    - ${getCiTestCommand(testDirName, config, config.ci.shards > 1 ? '$CI_NODE_INDEX/$CI_NODE_TOTAL' : null)}
+  # test-artifacts/ only holds the traces and videos of failed and retried tests
+  artifacts:
+    when: always
+    expire_in: 1 week
+    paths:
+      - ${testDirName}/blob-report/
+      - ${testDirName}/test-artifacts/
+
+merge-reports:
+  stage: report
+  when: always
+  needs:
+    - job: playwright
+      artifacts: true
+  script:
+    - ${pmRun(config, 'report:merge')}
+  artifacts:
+    when: always
+    expire_in: 2 weeks
+    paths:
+      - ${testDirName}/html-report/${getMergeReporters(config).includes('junit') ? `
+    reports:
+      junit: ${testDirName}/reports/junit.xml` : ''}
+`,
+    'azure-pipelines.yml': (testDirName, config) => config.ci.provider !== 'azure' ? null : `
+# Runs the Playwright suite sharded across ${config.ci.shards} job(s) and merges the shard reports into one HTML report.
+# Define the credentials as secret pipeline variables; they are mapped into the test step below.
+trigger:
+  - main
+  - master
+
+pr:
+  - main
+  - master
+
+variables:
+  CI: 'true'
+${getCiVariables(config).filter(variable => !variable.secret).map(variable => `  ${variable.name}: ${JSON.stringify(String(variable.value))}`).join('\n')}
+  npm_config_cache: $(Pipeline.Workspace)/.npm
+  PLAYWRIGHT_BROWSERS_PATH: $(Pipeline.Workspace)/ms-playwright
+
+stages:
+  - stage: Test
+    jobs:
+      - job: Playwright
+        timeoutInMinutes: 60
+        pool:
+          vmImage: ubuntu-latest
+        strategy:
+          parallel: ${config.ci.shards}
+        steps:
+          - task: NodeTool@0
+            inputs:
+              versionSpec: '${CI_NODE_VERSION}.x'
+          - task: Cache@2
+            displayName: Cache npm packages
+            inputs:
+              key: '${config.packageManager.name} | "$(Agent.OS)" | ${getLockfile(config)}'
+              path: $(npm_config_cache)
+          - task: Cache@2
+            displayName: Cache Playwright browsers
+            inputs:
+              key: 'playwright | "$(Agent.OS)" | ${getLockfile(config)}'
+              path: $(PLAYWRIGHT_BROWSERS_PATH)
+          - script: ${getCiInstallCommand(config)}
+            displayName: Install dependencies
+          - script: ${pmExec(config, `playwright install --with-deps ${getProjectBrowsers(config).join(' ')}`)}
+            displayName: Install Playwright browsers
+          - script: ${getCiTestCommand(testDirName, config, '$(System.JobPositionInPhase)/$(System.TotalJobsInPhase)')}
+            displayName: Run Playwright tests${getCiVariables(config).some(variable => variable.secret) ? `
+            env:
+${getCiVariables(config).filter(variable => variable.secret).map(variable => `              ${variable.name}: $(${variable.name})`).join('\n')}` : ''}
+          - task: PublishPipelineArtifact@1
+            displayName: Upload blob report
+            condition: succeededOrFailed()
+            inputs:
+              targetPath: ${testDirName}/blob-report
+              artifact: blob-report-$(System.JobPositionInPhase)
+          - task: PublishPipelineArtifact@1
+            displayName: Upload traces, videos and test artifacts
+            condition: failed()
+            inputs:
+              targetPath: ${testDirName}/test-artifacts
+              artifact: test-artifacts-$(System.JobPositionInPhase)
+
+  - stage: Report
+    dependsOn: Test
+    condition: succeededOrFailed()
+    jobs:
+      - job: MergeReports
+        pool:
+          vmImage: ubuntu-latest
+        steps:
+          - task: NodeTool@0
+            inputs:
+              versionSpec: '${CI_NODE_VERSION}.x'
+          - script: ${getCiInstallCommand(config)}
+            displayName: Install dependencies
+          - task: DownloadPipelineArtifact@2
+            displayName: Download blob reports
+            inputs:
+              patterns: 'blob-report-*/**'
+              path: $(Pipeline.Workspace)/blob-reports
+          - script: |
+              mkdir -p ${testDirName}/blob-report
+              find "$(Pipeline.Workspace)/blob-reports" -name '*.zip' -exec cp {} ${testDirName}/blob-report/ \\;
+              ${pmRun(config, 'report:merge')}
+            displayName: Merge into one HTML report${getMergeReporters(config).includes('junit') ? `
+          - task: PublishTestResults@2
+            displayName: Publish JUnit results
+            condition: succeededOrFailed()
+            inputs:
+              testResultsFormat: JUnit
+              testResultsFiles: ${testDirName}/reports/junit.xml` : ''}
+          - task: PublishPipelineArtifact@1
+            displayName: Upload HTML report
+            inputs:
+              targetPath: ${testDirName}/html-report
+              artifact: html-report
+`,
+    'Jenkinsfile': (testDirName, config) => config.ci.provider !== 'jenkins' ? null : `
+// Runs the Playwright suite sharded across ${config.ci.shards} parallel stage(s) and merges the shard reports into one HTML report.
+// The agents need Node.js ${CI_NODE_VERSION} and the browser system dependencies (or use the mcr.microsoft.com/playwright image).
+// Browsers stay in the agent's ~/.cache/ms-playwright, so they are only downloaded again after a Playwright update.
+pipeline {
+    agent none
+
+    options {
+        timeout(time: 60, unit: 'MINUTES')
+    }
+
+    environment {
+        CI = 'true'
+${getCiVariables(config).map(variable => variable.secret
+        ? `        ${variable.name} = credentials(${toTsString(variable.name)})`
+        : `        ${variable.name} = "\${env.${variable.name} ?: ${toTsString(variable.value)}}"`).join('\n')}
+    }
+
+    stages {
+        stage('Test') {
+            matrix {
+                agent any
+                axes {
+                    axis {
+                        name 'SHARD'
+                        values ${Array.from({ length: config.ci.shards }, (_, index) => `'${index + 1}'`).join(', ')}
+                    }
+                }
+                stages {
+                    stage('Shard') {
+                        steps {
+                            sh '${getCiInstallCommand(config)}'
+                            sh '${pmExec(config, `playwright install ${getProjectBrowsers(config).join(' ')}`)}'
+                            // A failing shard marks the build as failed, but the reports are still merged
+                            catchError(buildResult: 'FAILURE', stageResult: 'FAILURE') {
+                                sh "${getCiTestCommand(testDirName, config, `\${SHARD}/${config.ci.shards}`)}"
+                            }
+                        }
+                        post {
+                            always {
+                                stash name: "blob-report-\${SHARD}", includes: '${testDirName}/blob-report/**', allowEmpty: true
+                            }
+                            failure {
+                                archiveArtifacts artifacts: '${testDirName}/test-artifacts/**', allowEmptyArchive: true
+                            }
+                        }
+                    }
+                }
+            }
+        }
+
+        stage('Merge Reports') {
+            agent any
+            steps {
+                sh '${getCiInstallCommand(config)}'
+                script {
+                    for (shard in 1..${config.ci.shards}) {
+                        unstash "blob-report-\${shard}"
+                    }
+                }
+                sh '${pmRun(config, 'report:merge')}'
+            }
+            post {
+                always {
+                    archiveArtifacts artifacts: '${testDirName}/html-report/**', allowEmptyArchive: true${getMergeReporters(config).includes('junit') ? `
+                    junit allowEmptyResults: true, testResults: '${testDirName}/reports/junit.xml'` : ''}
+                }
+            }
+        }
+    }
+}
+`,
+    // --- DOCKER: the same Linux environment for every run, so screenshots match everywhere ---
+    'Dockerfile': (testDirName, config) => !config.docker ? null : `
+# Runs the Playwright tests in the official image: the same browsers, fonts and OS for every developer and CI.
+# The image version must match @playwright/test in package.json (${config.playwrightVersion}).
+FROM ${getDockerImage(config)}
+
+WORKDIR /app
+
+# Dependencies first, so this layer is only rebuilt when they change.
+# The lockfile is optional: a project that was never installed has none yet.
+COPY package.json ${getLockfile(config)}* ./
+RUN ${getContainerInstallCommand(config)}
+
+COPY . .
+
+CMD ["npx", "playwright", "test", "--config=${testDirName}/playwright.config.ts"]
+`,
+    '.dockerignore': (testDirName, config) => !config.docker ? null : `
+node_modules
+.git
+${config.auth.strategy !== 'none' ? `${AUTH_DIR}
+` : ''}${testDirName}/test-artifacts
+${testDirName}/html-report
+${testDirName}/reports
+${testDirName}/blob-report
+# The .env profiles hold credentials: docker-compose.yml mounts them instead of baking them into the image
+**/.env.*
+!**/.env.example
+`,
+    'docker-compose.yml': (testDirName, config) => !config.docker ? null : `
+# ${pmRun(config, 'test:docker')} -> runs the suite in the Playwright image
+# ${pmRun(config, 'test:visual:update:docker')} -> updates the visual baselines, rendered on Linux like in CI
+services:
+  test:
+    build: .
+    init: true
+    # Chromium needs more shared memory than Docker's default
+    ipc: host
+    environment:
+      - TEST_ENV
+      - BASE_URL
+      - API_URL
+    # An application running on the host is reachable as http://host.docker.internal:<port>
+    extra_hosts:
+      - "host.docker.internal:host-gateway"
+    volumes:
+      # The test folder comes from the host: edits need no rebuild, and test-artifacts/, html-report/,
+      # the reports and updated snapshot baselines land in the working copy
+      - ./${testDirName}:/app/${testDirName}
+`,
+    [path.join('.devcontainer', 'devcontainer.json')]: (testDirName, config) => !config.docker ? null : `
+{
+  "name": "Playwright E2E",
+  "image": "${getDockerImage(config)}",
+  "runArgs": ["--ipc=host", "--init"],
+  "postCreateCommand": "${getContainerInstallCommand(config)}",
+  "forwardPorts": [9323, 9330],
+  "portsAttributes": {
+    "9323": { "label": "HTML report" },
+    "9330": { "label": "Snapshot review" }
+  },
+  "customizations": {
+    "vscode": {
+      "extensions": ["ms-playwright.playwright"]
+    }
+  }
+}
+`,
+    'tsconfig.json': (testDirName) => `
+{
+  "compilerOptions": {
+    "target": "ES2020",
+    "module": "CommonJS",
+    "moduleResolution": "node",
+    "strict": true,
+    "esModuleInterop": true,
+    "resolveJsonModule": true,
+    "skipLibCheck": true,
+    "forceConsistentCasingInFileNames": true,
+    "outDir": "./dist",
+    "baseUrl": "./",
+    "paths": {
+      // NOTE: This alias is kept for IDE convenience, but files below now use relative imports (../) for stability.
+      "~/*": ["./${testDirName}/*"]
+    }
+  },
+  "include": [
+    "./**/*.ts"
+  ]
+}
+`,
+    // Integrate mode: scoped to the test directory, so the application's own tsconfig.json is left untouched
+    [path.join('e2e.tests', 'tsconfig.json')]: () => `
+{
+  "compilerOptions": {
+    "target": "ES2020",
+    "module": "CommonJS",
+    "moduleResolution": "node",
+    "strict": true,
+    "esModuleInterop": true,
+    "resolveJsonModule": true,
+    "skipLibCheck": true,
+    "forceConsistentCasingInFileNames": true,
+    "outDir": "../dist/e2e",
+    "baseUrl": "./",
+    "paths": {
+      "~/*": ["./*"]
+    }
+  },
+  "include": [
+    "./**/*.ts"
+  ]
+}
+`,
+    'README.md': (testDirName, config) => `
+# Playwright E2E Automation Framework
+
+This project contains a robust **Playwright end-to-end (E2E) testing framework**, initialized for Playwright ${config.playwrightVersion} (pinned in \`package.json\`).
+
+---
+
+${getAuthReadmeSection(config)}
+${config.samples === 'local' ? `---
+
+## 🧪 Local Demo App
+
+The example specs run against \`e2e.tests/demo-app/server.js\`, a small Node server that Playwright starts through \`webServer\` on port ${DEMO_APP_PORT}. It serves the pages, login form and pet API the specs use, so \`${pmRun(config, 'test')}\` works offline. Outside CI an already running instance is reused. To test your own application, point \`BASE_URL\` in your profile file at it and remove the \`webServer\` block.
+
+` : ''}---
+
+## 🌍 Environment Profiles
+
+The base URL, API URL and credentials are read from \`e2e.tests/.env.<profile>\` (profiles: ${config.envProfiles.join(', ')}). These files are ignored by git; \`.env.example\` lists every variable they need. Select a profile with \`TEST_ENV\` (Default: ${config.envProfiles[0]}):
+
+\`\`\`bash
+TEST_ENV=${config.envProfiles[config.envProfiles.length - 1]} ${pmRun(config, 'test')}
+\`\`\`
+
+Variables that are already set in the environment (e.g. CI secrets) take precedence over the profile file. A missing variable stops the run before any test starts.
+
+---
+
+## ♿ Accessibility Testing
+
+The \`a11y\` fixture runs axe-core for the tags ${config.a11y.tags.join(', ')}: \`await a11y.check()\` scans the page, \`await a11y.check(locator)\` one component (see \`tests/a11y.spec.ts\`). Violations are attached to the HTML report as a table. Only violations missing from \`e2e.tests/a11y-baseline.json\` fail the test; record the current ones with:
+
+\`\`\`bash
+A11Y_UPDATE_BASELINE=1 ${pmRun(config, 'test', `${testDirName}/tests/a11y.spec.ts`)}
+\`\`\`
+
+---
+
+## 🕸️ Network Mocking
+
+The \`network\` fixture makes UI tests independent of the backend (see \`tests/network_mock.spec.ts\`):
+
+* \`await network.stub({ url: '**/api/pets', json: [...] })\` answers matching requests with canned JSON; \`network.stubFromFile('stubs/pets.json')\` loads the same from \`e2e.tests/mocks/\`.
+* \`MOCK_MODE=record\` saves the traffic of every test that uses the fixture to \`e2e.tests/mocks/<spec>/<test>.har\`; commit these files.
+* \`MOCK_MODE=replay\` serves the requests from those recordings. Requests neither a recording nor a stub answered are attached to the report as \`unmatched-requests.txt\`; with \`MOCK_STRICT=1\` they are blocked and fail the test.
+
+Refresh the recordings with one browser, so parallel projects do not write the same files:
+
+\`\`\`bash
+MOCK_MODE=record ${pmRun(config, 'test', '--project=chromium')}
+MOCK_MODE=replay MOCK_STRICT=1 ${pmRun(config, 'test')}
+\`\`\`
+
+Limit what is recorded and replayed (e.g. to \`'**/api/**'\`) with \`MOCK_URL_FILTER\` in \`utils/NetworkMocker.ts\`.
+
+---
+${config.openapi ? `
+## 🧾 Typed API Client
+
+\`${testDirName}/api/client.ts\` is generated from \`${config.openapi}\`: one typed method per operation, sent to \`API_URL\` through the \`api\` fixture. \`expect(body).toMatchSchema('<schema>')\` validates a response body against a schema of the spec:
+
+\`\`\`ts
+test('returns a valid pet', async ({ api }) => {
+  const response = await api.getPetById({ petId: 1 });
+  expect(response.ok()).toBeTruthy();
+  expect(await response.json()).toMatchSchema('Pet');
+});
+\`\`\`
+
+Regenerate the client and schemas after the spec changes (JSON or YAML):
+
+\`\`\`bash
+${pmRun(config, 'api:generate')}
+\`\`\`
+
+---
+` : ''}
+## 🧪 Flaky Tests and Quarantine
+
+A custom reporter (\`reporters/flaky-history.ts\`) records the outcome of every test (passed, failed, flaky or skipped) in \`e2e.tests/test-history.json\` after each run; set \`TEST_HISTORY_FILE\` to keep it in a CI cache. List the flakiest tests and the suggested quarantines and releases with:
+
+\`\`\`bash
+${pmRun(config, 'report:flaky')}
+\`\`\`
+
+Quarantine a test with Playwright's tag API instead of a title string. It keeps running and shows up in every report, but its failure no longer fails the build:
+
+\`\`\`ts
+import { test, quarantine } from '../fixtures/baseTest';
+
+test('checkout', quarantine('Payment sandbox times out, see JIRA-123'), async ({ page }) => { /* ... */ });
+\`\`\`
+
+Release it by removing \`quarantine(...)\` once the report suggests it.
+
+${supportsPlaywright(config, '1.56.0') ? `---
+
+## 🤖 Playwright Test Agents (v1.56)
+
+Playwright v1.56 introduced **Test Agents**, custom AI-driven agents that can assist with test creation, generation, and self-healing.
+
+These agents can be generated using the following command, which creates agent definitions for various AI clients (like VS Code, Claude, or OpenCode):
+
+\`\`\`bash
+${pmExec(config, AGENT_INIT_COMMAND)}
+# or --loop=claude, --loop=opencode
+\`\`\`
+
+**The three core agents are:**
+* **🎭 planner:** Explores the application and creates a Markdown test plan.
+* **🎭 generator:** Transforms the Markdown plan into actual Playwright Test files.
+* **🎭 healer:** Executes the test suite and automatically repairs failing tests.
+
+` : ''}---
+
+## ⚙️ Configuration Summary
+
+This framework was initialized with the following settings:
+
+| Setting | Value | Impact |
+| :--- | :--- | :--- |
+| **Playwright** | **${config.playwrightVersion}** | Pinned in \`package.json\`. Upgrade it together with the browsers (and the Docker image, if used). |
+| **Test Retries** | **{__RETRIES__}** | The number of times a test will re-run globally upon failure. |
+| **Max Parallel Workers** | **{__WORKERS__}** | Limits concurrent test file execution. Set to \`undefined\` if using OS default. |
+| **Browser Projects** | **{__BROWSERS__}** | Only these projects are included in \`playwright.config.ts\`. |
+| **Base URL** | **{__BASE_URL__}** | The default application URL. |
+
+### 🛠️ Important Note on Visual Tests
+
+During the initial run, the system creates baseline screenshots for the visual regression test. You **must** manually review these newly created images in the snapshot folder (\`${getSnapshotDir(config)}\`) to confirm they represent the correct desired state of the application.
+
+Baselines are stored per project and platform (\`snapshotPathTemplate: '${config.visual.pathTemplate}'\`), so record them on the platform that compares them, e.g. in the CI image. A screenshot passes while at most ${config.visual.maxDiffPixelRatio} of its pixels differ from the baseline (per-pixel color threshold ${config.visual.threshold})${config.visual.stableRendering ? ', is taken with animations disabled and the caret hidden, and gets \`e2e.tests/visual.css\` injected' : ''}. The \`visual\` fixture adds the default masks (${config.visual.masks.length > 0 ? config.visual.masks.map(mask => `\`${mask}\``).join(', ') : 'none yet, see \`VISUAL_MASKS\` in \`utils/VisualChecker.ts\`'}):
+
+\`\`\`ts
+await visual.check('checkout.png');                                              // the whole page
+await visual.check('cart.png', { target: page.locator('#cart'), mask: [page.locator('.price')] });
+\`\`\`
+
+After UI changes, review the screenshots instead of overwriting every baseline with \`test:visual:update\`:
+
+\`\`\`bash
+${pmRun(config, 'snapshots:review')}  # whole suite
+${pmRun(config, 'snapshots:review', `${testDirName}/tests/visual.spec.ts`)}  # extra arguments go to playwright test
+\`\`\`
+
+The command runs the tests with \`--update-snapshots=none\` and serves a page at http://localhost:9330 listing **new**, **changed** (baseline, actual and diff side by side) and **orphaned** baselines (their spec or project is gone). Approve or reject each one; only approved snapshots are written to (or, for orphans, removed from) the baseline folders. Without a browser at hand, \`--no-serve\` writes the page to \`${testDirName}/snapshot-review/index.html\` and \`--no-run --approve 1,3\` approves by number.
+
+${supportsPlaywright(config, '1.56.0') ? `---
+
+## ✨ New API Showcase (v1.56)
+
+The framework's \`network_data.spec.ts\` test now showcases the new v1.56 methods:
+* \`page.consoleMessages()\`
+* \`page.pageErrors()\`
+* \`page.requests()\`
+
+These methods allow for retrieving recent data without manually setting up page listeners, simplifying network and console assertions.
+
+` : ''}---
+
+## ▶️ Getting Started
+
+### 1. Run All Tests
+
+\`\`\`bash
+${pmRun(config, 'test')}
+\`\`\`
+
+Type-check the framework without running a browser (the bootstrapper ran this, and \`playwright test --list\`, after generating it):
+
+\`\`\`bash
+${pmRun(config, 'typecheck')}
+\`\`\`
+
+### 2. View the HTML Report
+
+\`\`\`bash
+${pmRun(config, 'report')}
+\`\`\`
+
+Local runs use the ${config.reporters.join(', ')} reporter(s). When \`CI\` is set (or with \`${pmRun(config, 'test:ci')}\`), the run switches to ${config.ciReporters.join(', ')}:
+
+| Reporter | Output |
+| :--- | :--- |
+${[...new Set([...config.reporters, ...config.ciReporters])].map(name => `| ${name} | ${getReporterOutput(testDirName, name)} |`).join('\n')}
+${usesBlobReporter(config) ? `
+After a sharded run, merge the blob reports of all shards (copied into \`${testDirName}/blob-report\`) into one set of reports:
+
+\`\`\`bash
+${pmRun(config, 'report:merge')}
+\`\`\`
+` : ''}${config.ci.provider !== 'none' ? `
+### CI Pipeline
+
+The generated \`${getCiPipelineFile(config)}\` runs the suite on ${config.ci.provider} in ${config.ci.shards} parallel shard(s) (${config.browserProjects.join(', ')}), caches the browsers, keeps the traces, videos and \`test-artifacts/\` of failing shards and merges the shard reports into one HTML report. Store the credentials (${getCiVariables(config).filter(variable => variable.secret).map(variable => `\`${variable.name}\``).join(', ') || 'none'}) as secrets of the CI system.
+` : ''}${config.docker ? `
+### Docker
+
+Screenshots render differently on every OS, so produce the visual baselines in the Playwright image (\`${getDockerImage(config)}\`), the same Linux environment CI uses:
+
+\`\`\`bash
+${pmRun(config, 'test:docker')}
+${pmRun(config, 'test:visual:update:docker')}
+\`\`\`
+
+\`docker-compose.yml\` mounts \`${testDirName}/\`, so the tests, the .env profiles, \`test-artifacts/\`, \`html-report/\` and the updated baselines are shared with the host. An application running on the host is reachable from the container as \`http://host.docker.internal:<port>\`. VS Code users can also open the project in the devcontainer (\`.devcontainer/devcontainer.json\`). After upgrading \`@playwright/test\`, update the image tag in \`Dockerfile\` and \`.devcontainer/devcontainer.json\` to the same version.
+` : ''}
+### 3. Debugging with UI Mode
+
+\`\`\`bash
+${pmRun(config, 'test:ui')}
+\`\`\`
+`,
+    [path.join('e2e.tests', 'playwright.config.ts')]: (testDirName, config) => {
+        const auth = config.auth;
+        const usesGlobalSetup = auth.mode === 'global-setup';
+        const usesSetupProject = auth.mode === 'setup-project';
+        const usesStorageState = auth.strategy === 'form' || (auth.strategy === 'api-token' && auth.tokenStorage === 'cookie');
+        const usesTokenHeader = auth.strategy === 'api-token' && auth.tokenStorage === 'header';
+        const roleImports = [
+            'DEFAULT_ROLE',
+            auth.strategy === 'basic' && 'ROLES',
+            usesStorageState && 'storageStatePath',
+            usesTokenHeader && 'authHeaders',
+        ].filter(Boolean);
+
+        return `
+import { defineConfig, devices, ReporterDescription } from '@playwright/test';
+import path from 'path';
+${auth.strategy !== 'none' ? `import { ${roleImports.join(', ')} } from './fixtures/roles';\n` : ''}// Loads .env.<TEST_ENV> and fails fast if the selected profile misses a required variable.
+// An explicitly set BASE_URL environment variable still wins over the profile file.
+import { ENV } from './utils/env';
+
+// 📊 REPORTERS: CI runs (process.env.CI) write machine-readable files for the pipeline; local runs stay readable
+const LOCAL_REPORTERS: ReporterDescription[] = [
+${renderReporters(config.reporters)}
+];
+const CI_REPORTERS: ReporterDescription[] = [
+${renderReporters(config.ciReporters)}
+];
+
+// 📱 DEVICES: An unknown device name fails loading the config, instead of running the project with the defaults
+function device(name: string) {
+  const descriptor = devices[name];
+  if (!descriptor) throw new Error(\`Unknown device '\${name}': the installed Playwright does not define it (see devices in @playwright/test).\`);
+  return descriptor;
+}
+
+export default defineConfig({
+  testDir: path.join(__dirname, 'tests'),
+  ${usesGlobalSetup ? `
+  // 🔐 GLOBAL SETUP: Runs once before all tests to save the authentication state
+  globalSetup: require.resolve('./auth.setup'),
+  ` : ''}
+  ${config.samples === 'local' ? `
+  // 🧪 LOCAL DEMO APP: Serves the pages, login form and pet API the example specs run against
+  webServer: {
+    command: 'node demo-app/server.js',
+    cwd: __dirname,
+    url: '${DEMO_APP_URL}',
+    reuseExistingServer: !process.env.CI,
+  },
+  ` : ''}
+  fullyParallel: true,
+  forbidOnly: !!process.env.CI,
+  // --- Configurable Settings ---
+  retries: ${config.retries},
+  workers: ${config.maxWorkers}, // Use undefined for auto
+  // -----------------------------
+
+  reporter: [
+    ...(process.env.CI ? CI_REPORTERS : LOCAL_REPORTERS),
+    // Keeps the pass/fail/flaky history of every test; failures of @quarantine tests do not fail the run
+    ['./reporters/flaky-history.ts']
+  ],
+  
+  timeout: 60000,
+
+  // 📸 VISUAL COMPARISON: Baselines per project and platform, compared with the same defaults everywhere
+  snapshotPathTemplate: ${toTsString(config.visual.pathTemplate)},
+  expect: {
+    toHaveScreenshot: {
+      maxDiffPixelRatio: ${config.visual.maxDiffPixelRatio},
+      threshold: ${config.visual.threshold},${config.visual.stableRendering ? `
+      animations: 'disabled',
+      caret: 'hide',
+      // Hides or freezes whatever still changes between runs
+      stylePath: path.join(__dirname, 'visual.css'),` : ''}
+    },
+  },
+  
+  use: {
+    baseURL: ENV.baseURL,
+    screenshot: 'only-on-failure',
+    trace: 'on-first-retry', 
+    video: 'retain-on-failure', ${usesStorageState ? `
+    // 🔐 GLOBAL USE: Automatically loads the default role's saved authentication state
+    // (tests using baseTest.ts pick another role with test.use({ role }))
+    storageState: storageStatePath(DEFAULT_ROLE), ` : ''}${usesTokenHeader ? `
+    // 🔐 GLOBAL USE: Sends the default role's saved API token with every request.
+    // ${usesSetupProject ? `The workers of the browser projects load this config after the 'setup' project has run, so the token file exists by then.` : 'Workers load this config after global setup has run, so the token file exists by then.'}
+    extraHTTPHeaders: authHeaders(DEFAULT_ROLE),` : ''}${auth.strategy === 'basic' ? `
+    // 🔐 GLOBAL USE: HTTP basic authentication as the default role for every page and API request
+    httpCredentials: ROLES[DEFAULT_ROLE] ?? undefined,` : ''}
+  },
+
+  projects: [${usesSetupProject ? `
+    // 🔐 SETUP PROJECT: Logs in every role before the browser projects run, with traces and retries like any test.
+    // It starts from an empty state, since the sessions it creates do not exist yet, in the browser of the first project.
+    { name: 'setup', testDir: __dirname, testMatch: /auth\\.setup\\.ts/, teardown: 'teardown', use: { browserName: '${getLoginBrowser(config)}', storageState: { cookies: [], origins: [] } } },
+    { name: 'teardown', testDir: __dirname, testMatch: /auth\\.teardown\\.ts/ },` : ''}
+    ${config.browserProjects.filter(p => BROWSER_PROJECT_DEVICES[p]).map(p => {
+        // Browser projects wait for the login of the setup project, if there is one
+        const dependencies = usesSetupProject ? `, dependencies: ['setup']` : '';
+        return `{ name: '${p}', use: { ...device('${BROWSER_PROJECT_DEVICES[p]}') }${dependencies} }`;
+    }).join(',\n    ')}
+  ],
+  
+  outputDir: 'test-artifacts',
+});
+`;
+    },
+    // --- NEW FILE: auth.setup.ts ---
+    [path.join('e2e.tests', 'auth.setup.ts')]: (testDirName, config) => {
+        const auth = config.auth;
+        // Basic auth is applied through httpCredentials in the config, so only form and API logins need a setup
+        if (auth.strategy === 'api-token') {
+            return getApiTokenSetup(config);
+        }
+        if (auth.strategy !== 'form') {
+            return null;
+        }
+
+        return `
+import { ${auth.mode === 'setup-project' ? 'test as setup' : getLoginBrowser(config)}, expect, request, Browser } from '@playwright/test';
+import * as fs from 'fs';
+import { ROLES, Role, storageStatePath } from './fixtures/roles';
+import { ENV } from './utils/env';
+
+// --- Constants for Authentication ---
+const AUTH_URL = ${toProfileUrl(auth.loginUrl, config)};
+const USERNAME_SELECTOR = ${toTsString(auth.usernameSelector)};
+const PASSWORD_SELECTOR = ${toTsString(auth.passwordSelector)};
+const SUBMIT_SELECTOR = ${toTsString(auth.submitSelector)};
+// The login is successful once the browser lands on this URL and this element is visible
+const SUCCESS_URL = ${toProfileUrl(auth.successUrl, config)};
+const SUCCESS_SELECTOR = ${toTsString(auth.successSelector)};
+${getSessionReuseCheck(config)}
+/**
+ * Logs in as a role in a fresh browser context and saves its session state, unless the saved one is still valid.
+ */
+async function saveRoleState(browser: Browser, role: Role): Promise<void> {
+    if (ROLES[role] && !(await needsLogin(role))) {
+        return;
+    }
+    await loginAndSaveState(browser, role);
+}
+
+/**
+ * Logs in as a role in a fresh browser context and saves its session state.
+ * A role without credentials saves an empty (anonymous) state.
+ */
+async function loginAndSaveState(browser: Browser, role: Role): Promise<void> {
+    const credentials = ROLES[role];
+    const context = await browser.newContext();
+    const page = await context.newPage();
+
+    try {
+        if (credentials) {
+            await page.goto(AUTH_URL);
+
+            // Perform login
+            await page.locator(USERNAME_SELECTOR).fill(credentials.username);
+            await page.locator(PASSWORD_SELECTOR).fill(credentials.password);
+            await page.locator(SUBMIT_SELECTOR).click();
+
+            // Wait for successful redirect and verify a protected element
+            await page.waitForURL(SUCCESS_URL);
+            await expect(page.locator(SUCCESS_SELECTOR)).toBeVisible();
+        }
+
+        // Save the session state (cookies, local storage, etc.)
+        await context.storageState({ path: storageStatePath(role) });
+        console.log(\`✅ Authentication state for '\${role}' saved to: \${storageStatePath(role)}\`);
+    } finally {
+        await context.close();
+    }
+}
+
+${auth.mode === 'setup-project' ? `// Every role logs in as its own test of the 'setup' project, so failures show up in the HTML report with a trace
+for (const role of Object.keys(ROLES) as Role[]) {
+    setup(\`authenticate as \${role}\`, async ({ browser }) => {
+        await saveRoleState(browser, role);
+    });
+}
+` : `/**
+ * Global setup function to log in once per role and save the session states.
+ * This runs before all tests start.
+ */
+async function globalSetup() {
+    console.log('\\n🔐 Running Playwright Global Setup: Logging in and saving sessions...');
+
+    // Check every saved session first: the browser is only launched when a role has to log in
+    // (or an anonymous role has no saved state yet)
+    const pendingRoles: Role[] = [];
+    for (const role of Object.keys(ROLES) as Role[]) {
+        if (ROLES[role] ? await needsLogin(role) : !fs.existsSync(storageStatePath(role))) {
+            pendingRoles.push(role);
+        }
+    }
+    if (pendingRoles.length === 0) {
+        console.log('✅ Every saved session is still valid; no browser was launched.');
+        return;
+    }
+
+    // LAUNCH BROWSER: A headless browser of the first project, shared by every role that logs in
+    const browser = await ${getLoginBrowser(config)}.launch();
+    
+    try {
+        for (const role of pendingRoles) {
+            try {
+                await loginAndSaveState(browser, role);
+            } catch (error) {
+                console.error(\`❌ Global Setup Failed: Could not login as '\${role}' and save its authentication state.\`);
+                console.error(\`Check if \${AUTH_URL} is available and if the credentials for '\${ROLES[role]?.username}' are correct.\`);
+                throw error;
+            }
+        }
+    } finally {
+        // It's critical to close the browser instance created in global setup
+        await browser.close();
+    }
+}
+
+export default globalSetup;
+`}`;
+    },
+    // --- NEW FILE: auth.teardown.ts (setup-project mode only) ---
+    [path.join('e2e.tests', 'auth.teardown.ts')]: (testDirName, config) => {
+        const auth = config.auth;
+        if (auth.mode !== 'setup-project') {
+            return null;
+        }
+        const sessionPath = auth.strategy === 'api-token' && auth.tokenStorage === 'header' ? 'tokenPath' : 'storageStatePath';
+
+        return `
+import { test as teardown } from '@playwright/test';
+import * as fs from 'fs';
+import { ROLES, Role, ${sessionPath} } from './fixtures/roles';
+
+// Runs once every browser project has finished. Saved sessions are kept locally to help debugging,
+// but removed on CI so credentials never outlive the run.
+teardown('remove saved sessions', async () => {
+    teardown.skip(!process.env.CI, 'Saved sessions are only removed on CI.');
+
+    for (const role of Object.keys(ROLES) as Role[]) {
+        fs.rmSync(${sessionPath}(role), { force: true });
+    }
+});
+`;
+    },
+    // --- NEW FILE: demo-app/server.js (local samples only) ---
+    [path.join('e2e.tests', 'demo-app', 'server.js')]: (testDirName, config) => config.samples !== 'local' ? null : `
+// Local demo application for the example specs: static pages, a login form that sets a session cookie
+// and a small JSON pet API. playwright.config.ts starts it through its webServer option.
+// It has no dependencies, so it runs anywhere Node runs: offline, behind a proxy, on CI.
+const crypto = require('crypto');
+const http = require('http');
+
+const PORT = Number(process.env.DEMO_APP_PORT) || ${DEMO_APP_PORT};
+// Sessions and tokens are signed instead of stored, so a saved session survives a server restart
+const SECRET = 'playwright-bootstrap-demo';
+// The demo accounts (username: password)
+const USERS = { student: 'Password123', admin: 'Admin123' };
+const PETS = [
+    { id: 1, name: 'Rex', status: 'available' },
+    { id: 2, name: 'Whiskers', status: 'pending' },
+    { id: 3, name: 'Bubbles', status: 'sold' },
+];
+
+const STYLE = 'body { font-family: sans-serif; margin: 2rem; color: #222; } a { color: #0645ad; } .error { color: #b00020; }';
+
+function sign(username) {
+    const signature = crypto.createHmac('sha256', SECRET).update(username).digest('hex');
+    return Buffer.from(username).toString('base64url') + '.' + signature;
+}
+
+function verify(value) {
+    const [encoded, signature] = String(value || '').split('.');
+    const username = Buffer.from(encoded || '', 'base64url').toString('utf8');
+    return username && signature && sign(username) === value ? username : null;
+}
+
+// The user of a request, from its session cookie or its Bearer token
+function getUser(req) {
+    const cookie = /(?:^|;\\s*)session=([^;]+)/.exec(req.headers.cookie || '');
+    const bearer = /^Bearer (.+)$/.exec(req.headers.authorization || '');
+    return verify(cookie && cookie[1]) || verify(bearer && bearer[1]);
+}
+
+const sessionCookie = (username) => 'session=' + sign(username) + '; Path=/; HttpOnly; SameSite=Lax; Max-Age=3600';
+
+function page(res, title, body, status = 200, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', ...headers });
+    res.end('<!DOCTYPE html><html lang="en"><head><meta charset="utf-8"><title>' + title + '</title>' +
+        '<link rel="stylesheet" href="/style.css"></head><body><main id="content">' + body + '</main></body></html>');
+}
+
+function json(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+function redirect(res, location, headers = {}) {
+    res.writeHead(302, { Location: location, ...headers });
+    res.end();
+}
+
+function readBody(req) {
+    return new Promise(resolve => {
+        let data = '';
+        req.on('data', chunk => { data += chunk; });
+        req.on('end', () => resolve(data));
+    });
+}
+
+function loginForm(res, error) {
+    page(res, 'Login | The Internet (Local Demo)',
+        '<h1>Test login</h1>' +
+        (error ? '<div class="error" role="alert">' + error + '</div>' : '') +
+        '<form method="post" action="/login">' +
+        '<label for="username">Username</label> <input id="username" name="username" autocomplete="username"><br>' +
+        '<label for="password">Password</label> <input id="password" name="password" type="password" autocomplete="current-password"><br>' +
+        '<button id="submit" type="submit">Submit</button>' +
+        '</form>', error ? 401 : 200);
+}
+
+async function handle(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    const route = req.method + ' ' + url.pathname;
+
+    if (route === 'GET /') {
+        return page(res, 'The Internet (Local Demo)',
+            '<h1>Welcome to the-internet</h1>' +
+            '<h2>Available Examples</h2>' +
+            '<ul>' +
+            '<li><a href="/abtest">A/B Testing</a></li>' +
+            '<li><a href="/status_codes">Status Codes</a></li>' +
+            '<li><a href="/login">Form Authentication</a></li>' +
+            '</ul>');
+    }
+    if (route === 'GET /style.css') {
+        res.writeHead(200, { 'Content-Type': 'text/css' });
+        return res.end(STYLE);
+    }
+    if (route === 'GET /abtest') {
+        return page(res, 'A/B Test | The Internet (Local Demo)', '<h3>A/B Test Control</h3><p>Also known as split testing.</p>');
+    }
+    if (route === 'GET /status_codes') {
+        return page(res, 'Status Codes | The Internet (Local Demo)',
+            '<h3>Status Codes</h3><ul>' + [200, 301, 404, 500].map(code => '<li><a href="/status_codes/' + code + '">' + code + '</a></li>').join('') + '</ul>');
+    }
+    const statusCode = /^GET \\/status_codes\\/(\\d{3})$/.exec(route);
+    if (statusCode) {
+        return page(res, 'Status Codes | The Internet (Local Demo)',
+            '<h3>Status Codes</h3><p>This page returned a ' + statusCode[1] + ' status code.</p>', Number(statusCode[1]));
+    }
+
+    // --- Form authentication ---
+    if (route === 'GET /login') {
+        return loginForm(res);
+    }
+    if (route === 'POST /login') {
+        const form = new URLSearchParams(await readBody(req));
+        const username = form.get('username');
+        if (!USERS[username] || USERS[username] !== form.get('password')) {
+            return loginForm(res, 'Your username or password is invalid!');
+        }
+        return redirect(res, '/logged-in-successfully/', { 'Set-Cookie': sessionCookie(username) });
+    }
+    if (route === 'GET /logged-in-successfully/') {
+        const user = getUser(req);
+        if (!user) {
+            return redirect(res, '/login');
+        }
+        return page(res, 'Logged In | The Internet (Local Demo)',
+            '<h1 class="post-title">Logged In Successfully</h1><p>Congratulations ' + user + '. You successfully logged in!</p>');
+    }
+
+    // --- JSON API ---
+    if (route === 'POST /api/login') {
+        let credentials = {};
+        try {
+            credentials = JSON.parse(await readBody(req) || '{}');
+        } catch (error) {
+            return json(res, 400, { message: 'Expected a JSON body.' });
+        }
+        if (!USERS[credentials.username] || USERS[credentials.username] !== credentials.password) {
+            return json(res, 401, { message: 'Invalid credentials.' });
+        }
+        return json(res, 200, { token: sign(credentials.username) }, { 'Set-Cookie': sessionCookie(credentials.username) });
+    }
+    if (route === 'GET /api/me') {
+        const user = getUser(req);
+        return user ? json(res, 200, { username: user }) : json(res, 401, { message: 'Not authenticated.' });
+    }
+    const pet = /^GET \\/v2\\/pet\\/(\\d+)$/.exec(route);
+    if (pet) {
+        const found = PETS.find(candidate => candidate.id === Number(pet[1]));
+        return found ? json(res, 200, found) : json(res, 404, { message: 'Pet not found' });
+    }
+
+    page(res, 'Not Found | The Internet (Local Demo)', '<h1>Not Found</h1>', 404);
+}
+
+http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+        res.writeHead(500);
+        res.end(String(error));
+    });
+}).listen(PORT, () => console.log('Demo app listening on http://localhost:' + PORT + '/'));
+`,
+    [path.join('e2e.tests', 'testdata.json')]: () => `
+{
+  "app": {
+    "expectedTitle": "Professional Portfolio",
+    "expectedQuote": "Success is not final, failure is not fatal: it is the courage to continue that counts.",
+    "resumeLink": "https://example.com/my-resume.pdf"
+  }
+}
+`,
+    [path.join('e2e.tests', 'fixtures', 'baseTest.ts')]: (testDirName, config) => `
+import { test as baseTest, ${config.openapi ? 'expect as baseExpect, ' : ''}TestInfo } from '@playwright/test';
+// FIX: Use relative paths for stable module resolution at runtime
+import { LandingPage } from '../pages/LandingPage';
+import { GlobalData } from '../utils/GlobalData';
+import { TestUtils } from '../utils/TestUtils';
+import { A11yScanner } from '../utils/A11yScanner';
+import { MockMode, mockModeFromEnv, NetworkMocker } from '../utils/NetworkMocker';
+import { VisualChecker } from '../utils/VisualChecker';
+${config.openapi ? `import { ApiClient } from '../api/client';
+import { schemaMatchers } from '../utils/schemaMatchers';
+import { ENV } from '../utils/env';
+` : ''}${config.auth.strategy !== 'none' ? getRoleFixtureImports(config.auth) : ''}
+// EXPORTED MyFixtures to resolve "Unresolved variable/type MyFixtures" IDE error
+export type MyFixtures = {
+  landingPage: LandingPage;
+  globalData: GlobalData;
+  utils: TestUtils;
+  a11y: A11yScanner;
+  network: NetworkMocker;
+  visual: VisualChecker;
+  ${config.openapi ? `api: ApiClient;
+  ` : ''}testInfo: TestInfo; 
+};
+
+// Record or replay the network with MOCK_MODE=record|replay; MOCK_STRICT=1 (or test.use({ strictMocks: true })) fails on unmatched requests
+export type NetworkOptions = {
+  mockMode: MockMode;
+  strictMocks: boolean;
+};
+${config.auth.strategy !== 'none' ? `
+// Pick the identity of a test (or describe block) declaratively with test.use({ role: 'admin' })
+export type RoleOptions = {
+  role: Role;
+};
+` : ''}
+/**
+ * Checks if the test is currently in a retry cycle AND has the '@no-retry' tag.
+ * If both are true, it skips the test for the current retry attempt.
+ * Prefer quarantine() for tests that fail intermittently: it keeps them running and tracked.
+ * @param testInfo The current test information object.
+ */
+export function skipIfNoRetry(testInfo: TestInfo): void {
+  // Holds tags from the tag API ({ tag: '@no-retry' }) as well as those written in the title
+  const isVolatile = testInfo.tags.includes('@no-retry');
+  
+  if (isVolatile && testInfo.retry > 0) {
+    console.log(\`\\n⚠️ Skipping known volatile test: \${testInfo.title} (Retry #\${testInfo.retry}). Retries disabled for this tag.\`);
+    // testInfo.skip() is the correct runtime method to skip the current test iteration
+    testInfo.skip(); 
+  }
+}
+
+// Extend baseTest to inject your Page Object Models (POMs) and Utils
+export const test = baseTest.extend<MyFixtures & NetworkOptions${config.auth.strategy !== 'none' ? ' & RoleOptions' : ''}>({
+  ${config.auth.strategy !== 'none' ? getRoleFixtures(config.auth) : ''}
+  landingPage: async ({ page }, use) => {
+    await use(new LandingPage(page));
+  },
+
+  globalData: async ({ }, use) => {
+    await use(GlobalData.getInstance());
+  },
+  
+  utils: async ({ page }, use) => {
+    await use(new TestUtils(page));
+  },
+
+  // Accessibility scans with axe-core. Violations are attached to the report; only those missing from the baseline fail.
+  a11y: async ({ page }, use, testInfo) => {
+    await use(new A11yScanner(page, testInfo));
+  },
+
+  // Screenshot assertions with the default masks, e.g. await visual.check('home.png')
+  visual: async ({ page }, use) => {
+    await use(new VisualChecker(page));
+  },
+
+  mockMode: [mockModeFromEnv(), { option: true }],
+  strictMocks: [process.env.MOCK_STRICT === '1', { option: true }],
+
+  // Routes are set up before the test body runs; unmatched requests are reported once it ends
+  network: async ({ page, mockMode, strictMocks }, use, testInfo) => {
+    const network = new NetworkMocker(page, testInfo, { mode: mockMode, strict: strictMocks });
+    await network.start();
+    await use(network);
+    await network.finish();
+  },
+${config.openapi ? `
+  // The typed client generated from the OpenAPI spec, sending through the request fixture (and its role's credentials)
+  api: async ({ request }, use) => {
+    await use(new ApiClient(request, ENV.apiURL));
+  },
+` : ''}
+  testInfo: [
+    async ({}, use, testInfo) => {
+      await use(testInfo);
+    },
+    { scope: 'test' }
+  ]
+});
+
+${config.openapi ? `// expect with the custom matchers, e.g. expect(body).toMatchSchema('Pet')
+export const expect = baseExpect.extend(schemaMatchers);
+
+` : ''}// Re-export Playwright core elements; the interfaces only exist at type level
+${config.openapi ? '' : `export { expect } from '@playwright/test';
+`}export type { ConsoleMessage, Request, APIRequestContext, APIResponse } from '@playwright/test';
+// Re-export custom elements explicitly to satisfy IDEs
+export { quarantine, QUARANTINE_TAG } from '../utils/quarantine';
+`,
+    // Without authentication there are no roles to pick from
+    [path.join('e2e.tests', 'fixtures', 'roles.ts')]: (testDirName, config) => config.auth.strategy === 'none' ? null : getRolesModule(config.auth),
+    [path.join('e2e.tests', 'utils', 'env.ts')]: (testDirName, config) => `
+import * as dotenv from 'dotenv';
+import * as path from 'path';
+
+// The environment profiles, each with its own .env.<profile> file next to playwright.config.ts
+export const PROFILES = [${config.envProfiles.map(toTsString).join(', ')}];
+
+// Select a profile with TEST_ENV=<profile>
+export const TEST_ENV = process.env.TEST_ENV || ${toTsString(config.envProfiles[0])};
+
+if (!PROFILES.includes(TEST_ENV)) {
+  throw new Error(\`Unknown TEST_ENV "\${TEST_ENV}". Expected one of: \${PROFILES.join(', ')}.\`);
+}
+
+const envFile = path.join(__dirname, '..', \`.env.\${TEST_ENV}\`);
+// Variables that are already set (e.g. CI secrets) win over the profile file
+dotenv.config({ path: envFile });
+
+/**
+ * Reads a variable the selected profile must define, failing fast with a clear message if it is missing.
+ * @param name The environment variable name.
+ */
+export function requireEnv(name: string): string {
+  const value = process.env[name];
+  if (!value) {
+    throw new Error(\`Missing required variable \${name} for TEST_ENV=\${TEST_ENV}. Set it in \${envFile} (see .env.example) or in the environment.\`);
+  }
+  return value;
+}
+
+export const ENV = {
+  baseURL: requireEnv('BASE_URL'),
+  apiURL: requireEnv('API_URL'),
+};
+`,
+    // Committed documentation of every variable a profile needs; the .env.<profile> files themselves are ignored by git
+    [path.join('e2e.tests', '.env.example')]: (testDirName, config) => `
+# Copy to .env.<profile> (${config.envProfiles.join(', ')}) and fill in the values.
+# Select the profile with TEST_ENV=<profile> (Default: ${config.envProfiles[0]}).
+${getEnvVariables(config).map(variable => `${variable.name}=`).join('\n')}
+`,
+    [path.join('e2e.tests', 'pages', 'LandingPage.ts')]: () => `
+import { Page, Locator } from '@playwright/test';
+
+export class LandingPage {
+  readonly page: Page;
+  readonly header: Locator;
+  readonly resumeButton: Locator;
+
+  constructor(page: Page) {
+    this.page = page;
+    this.header = page.getByRole('heading', { level: 1 });
+    this.resumeButton = page.getByRole('link', { name: 'Download Resume' });
+  }
+
+  async navigate() {
+    await this.page.goto('/');
+  }
+
+  async clickResumeButton() {
+    await this.resumeButton.click();
+  }
+}
+`,
+    [path.join('e2e.tests', 'tests', 'seed.spec.ts')]: () => `
+// FIX: Changed from '~/fixtures/baseTest' to relative path
+import { test, expect } from '../fixtures/baseTest';
+
+test.describe('Initial Seed Test', () => {
+    test('should verify the homepage is accessible', async ({ page }) => {
+        // This test runs against the Base URL provided in playwright.config.ts 
+        await page.goto('/');
+        await expect(page).toHaveTitle(/The Internet/); 
+    });
+});
+`,
+    [path.join('e2e.tests', 'tests', 'api.spec.ts')]: (testDirName, config) => `
+// FIX: Changed from '~/fixtures/baseTest' to relative path
+import { test, expect } from '@playwright/test';
+import { APIRequestContext } from '../fixtures/baseTest'; 
+${config.samples === 'local' ? `import { ENV } from '../utils/env';\n` : ''}
+test.describe('${config.samples === 'local' ? 'Demo App Pet' : 'Swagger Petstore'} API GET Test', () => {
+    
+    const petId = 1;
+    const petUrl = ${config.samples === 'local' ? `new URL(\`v2/pet/\${petId}\`, ENV.apiURL).href` : `\`https://petstore.swagger.io/v2/pet/\${petId}\``};
+
+    test('should successfully retrieve pet ID 1 and verify basic structure', async ({ request }: { request: APIRequestContext }) => {
+        
+        await test.step(\`Retrieve pet \${petId} via GET request\`, async () => {
+            
+            const getResponse = await request.get(petUrl, {
+                headers: {
+                    'accept': 'application/json' 
+                }
+            });
+
+            expect(getResponse.status(), \`Expected Status 200 for \${petId}. Received: \${getResponse.status()}\`).toBe(200);
+            expect(getResponse.headers()['content-type']).toContain('application/json');
+
+            const pet = await getResponse.json();
+            
+            expect(pet.id).toBe(petId);
+            expect(typeof pet.status).toBe('string');
+            expect(pet.status.length).toBeGreaterThan(0);
+            
+            console.log(\`✅ Successfully retrieved pet ID \${petId} (\${pet.name}) with status: \${pet.status}\`);
+        });
+    });
+});
+`,
+    // --- UPDATED auth_storage.spec.ts (Now only verification) ---
+    // Only the form strategy has a protected page to start on
+    [path.join('e2e.tests', 'tests', 'auth_storage.spec.ts')]: (testDirName, config) => config.auth.strategy !== 'form' ? null : `
+// FIX: Changed from '~/fixtures/baseTest' to relative path
+import { test, expect } from '../fixtures/baseTest';
+import { ENV } from '../utils/env';
+
+const PROTECTED_URL = ${toProfileUrl(config.auth.successUrl, config)};
+const PROTECTED_SELECTOR = ${toTsString(config.auth.successSelector)};
+
+test.describe('Storage State Verification (After Global Setup)', () => {
+    
+    /**
+     * This test demonstrates that the session state saved by auth.setup.ts
+     * is automatically loaded by the browser context. This allows the test
+     * to start directly on the protected page, skipping the login UI.
+     */
+    test('should automatically access protected page using pre-loaded session', async ({ page }) => {
+        
+        await test.step('Navigate to Protected Page', async () => {
+            // Note: No login actions required here!
+            await page.goto(PROTECTED_URL);
+        });
+
+        // Verify successful access by checking for a protected element
+        await test.step('Verify Authenticated State', async () => {
+            const successMessage = page.locator(PROTECTED_SELECTOR);
+            
+            await expect(successMessage).toBeVisible({ timeout: 10000 });
+            await expect(page).toHaveURL(PROTECTED_URL);
+            
+            console.log("✅ Successfully accessed protected page via pre-authenticated storage state.");
+        });
+    });
+});
+`,
+    // --- END UPDATED auth_storage.spec.ts ---
+    [path.join('e2e.tests', 'tests', 'a11y.spec.ts')]: () => `
+// FIX: Changed from '~/fixtures/baseTest' to relative path
+import { test } from '../fixtures/baseTest';
+
+test.describe('Accessibility (axe-core)', () => {
+
+    test.beforeEach(async ({ landingPage }) => {
+        await landingPage.navigate();
+    });
+
+    /**
+     * Scans the whole landing page for the configured WCAG tags.
+     * Known violations listed in a11y-baseline.json are reported but do not fail the test.
+     */
+    test('landing page should have no new accessibility violations', async ({ a11y }) => {
+        await a11y.check();
+    });
+
+    // A scan can be scoped to a single component through its locator
+    test('landing page header should have no new accessibility violations', async ({ landingPage, a11y }) => {
+        await a11y.check(landingPage.header);
+    });
+});
+`,
+    // Known violations, keyed by page path, rule and target. Regenerate with A11Y_UPDATE_BASELINE=1.
+    [path.join('e2e.tests', 'a11y-baseline.json')]: () => `
+[]
+`,
+    [path.join('e2e.tests', 'utils', 'A11yScanner.ts')]: (testDirName, config) => `
+import AxeBuilder from '@axe-core/playwright';
+import { expect, Locator, Page, TestInfo } from '@playwright/test';
+import * as fs from 'fs';
+import * as path from 'path';
+
+// --- Configurable Settings ---
+// The axe-core tags to check, e.g. 'wcag2a', 'wcag2aa', 'wcag21aa', 'best-practice'
+export const A11Y_TAGS: string[] = [${config.a11y.tags.map(toTsString).join(', ')}];
+// Rule ids that are never checked
+export const A11Y_DISABLED_RULES: string[] = [${config.a11y.disableRules.map(toTsString).join(', ')}];
+// -----------------------------
+
+// Known violations that are reported but do not fail the build. Set A11Y_UPDATE_BASELINE=1 to record the current ones.
+const BASELINE_FILE = path.join(__dirname, '..', 'a11y-baseline.json');
+
+export type A11yFinding = {
+  page: string;
+  rule: string;
+  impact: string;
+  target: string;
+  help: string;
+};
+
+const findingKey = (finding: A11yFinding) => \`\${finding.page} \${finding.rule} \${finding.target}\`;
+
+function readBaseline(): A11yFinding[] {
+  return fs.existsSync(BASELINE_FILE) ? JSON.parse(fs.readFileSync(BASELINE_FILE, 'utf8')) : [];
+}
+
+/**
+ * Renders findings as a Markdown table for the HTML report.
+ */
+function toTable(findings: A11yFinding[], baseline: Set<string>): string {
+  const rows = findings.map(finding => [
+    baseline.has(findingKey(finding)) ? 'known' : 'NEW',
+    finding.impact,
+    finding.rule,
+    finding.target,
+    finding.help,
+  ].map(cell => cell.replace(/\\|/g, '\\\\|')).join(' | '));
+  return ['| Status | Impact | Rule | Target | Help |', '| --- | --- | --- | --- | --- |', ...rows.map(row => \`| \${row} |\`)].join('\\n');
+}
+
+/**
+ * Runs axe-core against the current page, or a part of it, and compares the result with the baseline.
+ */
+export class A11yScanner {
+  private scans = 0;
+
+  constructor(private readonly page: Page, private readonly testInfo: TestInfo) {}
+
+  /**
+   * Scans the page (or only the given locator) and returns every violation, one finding per affected element.
+   * @param target An optional locator to limit the scan to.
+   */
+  async scan(target?: Locator): Promise<A11yFinding[]> {
+    let builder = new AxeBuilder({ page: this.page }).withTags(A11Y_TAGS);
+    if (A11Y_DISABLED_RULES.length > 0) {
+      builder = builder.disableRules(A11Y_DISABLED_RULES);
+    }
+
+    // axe-core selects by CSS selector, so the locator's element is marked with a unique attribute first
+    const marker = \`\${this.testInfo.testId}-\${++this.scans}\`;
+    if (target) {
+      await target.evaluate((element, value) => element.setAttribute('data-a11y-scan', value), marker);
+      builder = builder.include(\`[data-a11y-scan="\${marker}"]\`);
+    }
+
+    try {
+      const results = await builder.analyze();
+      const pagePath = new URL(this.page.url()).pathname;
+      return results.violations.flatMap(violation => violation.nodes.map(node => ({
+        page: pagePath,
+        rule: violation.id,
+        impact: violation.impact || 'unknown',
+        target: node.target.join(' '),
+        help: violation.help,
+      })));
+    } finally {
+      if (target) {
+        await target.evaluate(element => element.removeAttribute('data-a11y-scan'));
+      }
+    }
+  }
+
+  /**
+   * Scans, attaches the violations to the report and fails only on violations missing from the baseline.
+   * @param target An optional locator to limit the scan to.
+   */
+  async check(target?: Locator): Promise<void> {
+    const findings = await this.scan(target);
+
+    if (process.env.A11Y_UPDATE_BASELINE === '1') {
+      const recorded = readBaseline();
+      const known = new Set(recorded.map(findingKey));
+      fs.writeFileSync(BASELINE_FILE, JSON.stringify([...recorded, ...findings.filter(finding => !known.has(findingKey(finding)))], null, 2) + '\\n');
+    }
+
+    const baseline = new Set(readBaseline().map(findingKey));
+    if (findings.length > 0) {
+      await this.testInfo.attach(\`a11y-violations-\${this.scans}.md\`, { body: toTable(findings, baseline), contentType: 'text/markdown' });
+    }
+
+    const newFindings = findings.filter(finding => !baseline.has(findingKey(finding)));
+    expect(newFindings, \`\${newFindings.length} new accessibility violation(s), see the a11y-violations attachment\`).toEqual([]);
+  }
+}
+`,
+    [path.join('e2e.tests', 'scripts', 'review-snapshots.js')]: (testDirName, config) => `
+// Reviews visual baselines: runs the suite without touching the baselines, lists new, changed and orphaned ones,
+// and serves a local page to approve or reject each. Only approved snapshots are written to the baseline folders.
+// Usage: node review-snapshots.js [--no-run] [--no-serve] [--approve <id,...>] [-- <playwright test args>]
+const { spawnSync } = require('child_process');
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const TEST_DIR = path.join(__dirname, '..');
+const TESTS_DIR = path.join(TEST_DIR, 'tests');
+const CONFIG_FILE = path.join(TEST_DIR, 'playwright.config.ts');
+const REVIEW_DIR = path.join(TEST_DIR, 'snapshot-review');
+const REPORT_FILE = path.join(REVIEW_DIR, 'report.json');
+const PORT = Number(process.env.SNAPSHOT_REVIEW_PORT) || 9330;
+// The baseline layout of playwright.config.ts (snapshotPathTemplate), to tell which spec and project a baseline belongs to
+const SNAPSHOT_PATH_TEMPLATE = ${toTsString(config.visual.pathTemplate)};
+
+function parseArgs(argv) {
+    const separator = argv.indexOf('--');
+    const own = separator === -1 ? argv : argv.slice(0, separator);
+    const approveIndex = own.indexOf('--approve');
+    return {
+        run: !own.includes('--no-run'),
+        serve: !own.includes('--no-serve'),
+        approve: approveIndex === -1 ? null : String(own[approveIndex + 1] || '').split(',').filter(id => id),
+        playwrightArgs: separator === -1 ? [] : argv.slice(separator + 1),
+    };
+}
+
+/**
+ * Runs the suite with --update-snapshots=none, so new and changed screenshots only end up in the test artifacts.
+ */
+function runSuite(playwrightArgs) {
+    fs.rmSync(REVIEW_DIR, { recursive: true, force: true });
+    fs.mkdirSync(REVIEW_DIR, { recursive: true });
+    console.log('🔬 Running the suite without updating baselines...');
+    spawnSync('npx', ['playwright', 'test', \`--config=\${CONFIG_FILE}\`, '--update-snapshots=none', '--reporter=list,json', ...playwrightArgs], {
+        stdio: 'inherit',
+        shell: process.platform === 'win32',
+        env: { ...process.env, PLAYWRIGHT_JSON_OUTPUT_NAME: REPORT_FILE },
+    });
+    // Failing screenshot assertions are expected here; only a missing report means the run itself broke
+    if (!fs.existsSync(REPORT_FILE)) {
+        throw new Error(\`The test run wrote no report to \${REPORT_FILE}.\`);
+    }
+}
+
+const escapeRegExp = text => text.replace(/[.*+?^\${}()|[\\]\\\\]/g, '\\\\$&');
+
+function* walkTests(suite) {
+    for (const spec of suite.specs || []) {
+        for (const test of spec.tests) {
+            yield { spec, test };
+        }
+    }
+    for (const child of suite.suites || []) {
+        yield* walkTests(child);
+    }
+}
+
+/**
+ * Collects every failed screenshot assertion of the run: its baseline path (from the '-expected' attachment),
+ * the actual screenshot and, for changed baselines, the diff image.
+ */
+function collectCandidates(report) {
+    const candidates = new Map();
+    for (const suite of report.suites) {
+        for (const { spec, test } of walkTests(suite)) {
+            // Retries repeat the same assertion; the last attempt wins
+            for (const result of test.results) {
+                const groups = new Map();
+                for (const attachment of result.attachments.filter(attachment => attachment.path)) {
+                    const match = /^(.*)-(expected|actual|diff)(\\.png)$/.exec(attachment.name);
+                    if (match) {
+                        const group = groups.get(match[1]) || {};
+                        group[match[2]] = attachment.path;
+                        groups.set(match[1], group);
+                    }
+                }
+                for (const [name, group] of groups) {
+                    if (group.expected && group.actual && fs.existsSync(group.actual)) {
+                        candidates.set(group.expected, {
+                            status: fs.existsSync(group.expected) ? 'changed' : 'new',
+                            project: test.projectName,
+                            title: \`\${spec.file} › \${spec.title}\`,
+                            name: \`\${name}.png\`,
+                            baseline: group.expected,
+                            actual: group.actual,
+                            diff: group.diff,
+                        });
+                    }
+                }
+            }
+        }
+    }
+    return [...candidates.values()];
+}
+
+const toPosix = filePath => filePath.split(path.sep).join('/');
+
+/**
+ * Turns the snapshot path template into a pattern matching the baselines it produces,
+ * capturing the spec file and project where the template contains them.
+ */
+function toBaselinePattern(template) {
+    const source = template.split(/(\\{-?[A-Za-z/]+\\})/).map(part => {
+        const token = /^\\{(-?)([A-Za-z/]+)\\}$/.exec(part);
+        if (!token) {
+            return escapeRegExp(part);
+        }
+        const [, dash, name] = token;
+        const pattern = {
+            testDir: escapeRegExp(toPosix(TESTS_DIR)),
+            snapshotDir: escapeRegExp(toPosix(TESTS_DIR)),
+            '/': '/',
+            ext: '\\\\.png',
+            testFilePath: '(?<spec>.+?)',
+            testFileDir: '(?<specDir>.*?)',
+            testFileName: '(?<specName>[^/]+?)',
+            projectName: '(?<project>[^/]+?)',
+        }[name] || '[^/]*?';
+        return dash ? \`(?:-\${pattern})?\` : pattern;
+    }).join('');
+    // Relative templates are resolved against the config's folder
+    const root = /^\\{(testDir|snapshotDir)\\}/.test(template) || path.isAbsolute(template) ? '' : \`\${escapeRegExp(toPosix(TEST_DIR))}/\`;
+    return new RegExp(\`^\${root}\${source}$\`);
+}
+
+function* walkImages(dir) {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+        const fullPath = path.join(dir, entry.name);
+        if (entry.isDirectory() && !['node_modules', 'test-artifacts', 'html-report', path.basename(REVIEW_DIR)].includes(entry.name)) {
+            yield* walkImages(fullPath);
+        } else if (entry.isFile() && entry.name.endsWith('.png')) {
+            yield fullPath;
+        }
+    }
+}
+
+/**
+ * Finds baselines nothing can produce any more: their spec file is gone or their project was removed from the config.
+ */
+function findOrphans(report) {
+    const projects = report.config.projects.map(project => project.name);
+    const pattern = toBaselinePattern(SNAPSHOT_PATH_TEMPLATE);
+    const orphans = [];
+    for (const baseline of walkImages(TEST_DIR)) {
+        const match = pattern.exec(toPosix(baseline));
+        if (!match) {
+            continue;
+        }
+        const { spec, specDir, specName, project } = match.groups || {};
+        const specFile = spec || (specName && [specDir, specName].filter(part => part).join('/'));
+        const reason = specFile && !fs.existsSync(path.join(TESTS_DIR, specFile)) ? 'spec file removed'
+            : project && !projects.includes(project) ? 'project removed'
+            : null;
+        if (reason) {
+            orphans.push({ status: 'orphaned', project: project || '-', title: \`\${specFile || path.basename(baseline)} (\${reason})\`, name: path.basename(baseline), baseline });
+        }
+    }
+    return orphans;
+}
+
+/**
+ * Copies the images into the review folder, so the page survives the next test run cleaning the artifacts.
+ */
+function stageImages(entries) {
+    const imagesDir = path.join(REVIEW_DIR, 'images');
+    fs.mkdirSync(imagesDir, { recursive: true });
+    entries.forEach((entry, index) => {
+        entry.id = String(index + 1);
+        entry.images = {};
+        for (const kind of ['baseline', 'actual', 'diff']) {
+            if (entry[kind] && fs.existsSync(entry[kind])) {
+                entry.images[kind] = \`images/\${entry.id}-\${kind}.png\`;
+                fs.copyFileSync(entry[kind], path.join(REVIEW_DIR, entry.images[kind]));
+            }
+        }
+    });
+}
+
+const escapeHtml = text => String(text).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+
+function renderPage(entries, interactive) {
+    const sections = ['new', 'changed', 'orphaned'].map(status => {
+        const items = entries.filter(entry => entry.status === status);
+        const cards = items.map(entry => \`
+<section class="entry" id="entry-\${entry.id}">
+  <h3>#\${entry.id} \${escapeHtml(entry.name)} <small>\${escapeHtml(entry.project)} · \${escapeHtml(entry.title)}</small></h3>
+  <div class="images">
+    \${['baseline', 'actual', 'diff'].filter(kind => entry.images[kind]).map(kind => \`<figure><figcaption>\${kind}</figcaption><img src="\${entry.images[kind]}" alt="\${kind}"></figure>\`).join('\\n    ')}
+  </div>
+  <p class="path">\${escapeHtml(path.relative(TEST_DIR, entry.baseline))}</p>
+  <div class="actions">\${interactive
+        ? \`<button onclick="decide('\${entry.id}', 'approve')">\${status === 'orphaned' ? 'Approve removal' : 'Approve'}</button> <button onclick="decide('\${entry.id}', 'reject')">Reject</button> <span class="decision"></span>\`
+        : \`Approve with: <code>${pmRun(config, 'snapshots:review', '--no-run --approve')} \${entry.id}</code>\`}</div>
+</section>\`).join('\\n');
+        return \`<h2>\${status[0].toUpperCase() + status.slice(1)} (\${items.length})</h2>\\n\${cards || '<p>None.</p>'}\`;
+    }).join('\\n');
+
+    return \`<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Snapshot Review</title>
+<style>
+  body { font-family: system-ui, sans-serif; margin: 2rem; }
+  .entry { border: 1px solid #ccc; border-radius: 6px; padding: 1rem; margin-bottom: 1.5rem; }
+  .entry.approve { border-color: #2a7; } .entry.reject { border-color: #c33; opacity: 0.6; }
+  .images { display: flex; gap: 1rem; overflow-x: auto; }
+  figure { margin: 0; } img { max-width: 480px; border: 1px solid #ddd; }
+  small, .path { color: #666; }
+</style>
+</head>
+<body>
+<h1>Snapshot Review</h1>
+<p>Approved snapshots are written to their baseline folder; rejected ones are left untouched.\${interactive ? ' Click <button onclick="finish()">Finish review</button> when you are done.' : ''}</p>
+\${sections}
+<script>
+  async function decide(id, decision) {
+    const response = await fetch('/' + decision + '/' + id, { method: 'POST' });
+    const entry = document.getElementById('entry-' + id);
+    entry.className = 'entry ' + (response.ok ? decision : '');
+    entry.querySelector('.decision').textContent = response.ok ? decision + 'd' : await response.text();
+  }
+  async function finish() {
+    await fetch('/done', { method: 'POST' });
+    document.body.innerHTML = '<h1>Review finished. You can close this tab.</h1>';
+  }
+</script>
+</body>
+</html>
+\`;
+}
+
+/**
+ * Writes an approved snapshot into its baseline folder, or deletes an approved orphan.
+ */
+function approve(entry) {
+    if (entry.status === 'orphaned') {
+        fs.rmSync(entry.baseline, { force: true });
+        console.log(\`🗑️ Removed orphaned baseline \${path.relative(TEST_DIR, entry.baseline)}\`);
+    } else {
+        fs.mkdirSync(path.dirname(entry.baseline), { recursive: true });
+        fs.copyFileSync(path.join(REVIEW_DIR, entry.images.actual), entry.baseline);
+        console.log(\`✅ Approved \${path.relative(TEST_DIR, entry.baseline)}\`);
+    }
+}
+
+function serve(entries) {
+    const server = http.createServer((req, res) => {
+        const [, action, id] = req.url.split('?')[0].split('/');
+        if (req.method === 'POST' && action === 'done') {
+            // Browsers keep idle connections open, which would keep the server alive
+            res.end('ok', () => {
+                server.close();
+                server.closeAllConnections();
+            });
+            return;
+        }
+        if (req.method === 'POST' && (action === 'approve' || action === 'reject')) {
+            // Only the listed entries can be decided on; the page never sends a file path
+            const entry = entries.find(candidate => candidate.id === id);
+            if (!entry) {
+                res.writeHead(404).end(\`Unknown snapshot #\${id}\`);
+                return;
+            }
+            if (action === 'approve') {
+                approve(entry);
+            } else {
+                console.log(\`❌ Rejected \${path.relative(TEST_DIR, entry.baseline)}\`);
+            }
+            res.end('ok');
+            return;
+        }
+
+        const urlPath = decodeURIComponent(req.url.split('?')[0]);
+        const file = path.join(REVIEW_DIR, urlPath === '/' ? 'index.html' : urlPath);
+        if (req.method !== 'GET' || !file.startsWith(REVIEW_DIR + path.sep) || !fs.existsSync(file) || fs.statSync(file).isDirectory()) {
+            res.writeHead(404).end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': file.endsWith('.html') ? 'text/html; charset=utf-8' : 'image/png' });
+        fs.createReadStream(file).pipe(res);
+    });
+    // Only reachable from this machine
+    server.listen(PORT, '127.0.0.1', () => {
+        console.log(\`\\n👀 Review the snapshots at http://localhost:\${PORT}/ and click "Finish review" (or press Ctrl+C) when done.\`);
+    });
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    const entriesFile = path.join(REVIEW_DIR, 'entries.json');
+    let entries;
+    if (args.run) {
+        runSuite(args.playwrightArgs);
+        const report = JSON.parse(fs.readFileSync(REPORT_FILE, 'utf8'));
+        entries = [...collectCandidates(report), ...findOrphans(report)];
+        stageImages(entries);
+        fs.writeFileSync(entriesFile, JSON.stringify(entries, null, 2));
+    } else if (fs.existsSync(entriesFile)) {
+        // Reuse what the last review run staged, even if a later test run cleaned the artifacts
+        entries = JSON.parse(fs.readFileSync(entriesFile, 'utf8'));
+    } else {
+        throw new Error(\`No review run found in \${REVIEW_DIR}. Run without --no-run first.\`);
+    }
+
+    console.log(\`\\n📸 \${['new', 'changed', 'orphaned'].map(status => \`\${entries.filter(entry => entry.status === status).length} \${status}\`).join(', ')}\`);
+    for (const entry of entries) {
+        console.log(\`   #\${entry.id} [\${entry.status}] \${path.relative(TEST_DIR, entry.baseline)}\`);
+    }
+
+    if (args.approve) {
+        for (const id of args.approve) {
+            const entry = entries.find(candidate => candidate.id === id);
+            if (!entry) {
+                throw new Error(\`Unknown snapshot #\${id}. Expected one of: \${entries.map(candidate => candidate.id).join(', ')}.\`);
+            }
+            approve(entry);
+        }
+        return;
+    }
+
+    const interactive = args.serve && entries.length > 0;
+    fs.writeFileSync(path.join(REVIEW_DIR, 'index.html'), renderPage(entries, interactive));
+    if (interactive) {
+        serve(entries);
+    } else {
+        console.log(\`\\n📄 Review page: \${path.join(REVIEW_DIR, 'index.html')}\`);
+    }
+}
+
+main();
+`,
+    // Combines the blob reports of sharded runs (npm run report:merge); only generated when a blob reporter is selected
+    [path.join('e2e.tests', 'merge.config.ts')]: (testDirName, config) => !usesBlobReporter(config) ? null : `
+import { ReporterDescription } from '@playwright/test';
+
+// The file reports of the merged run; paths are relative to this folder, like in playwright.config.ts
+const reporter: ReporterDescription[] = [
+${renderReporters(getMergeReporters(config))}
+];
+
+export default {
+  testDir: 'tests',
+  reporter,
+};
+`,
+    [path.join('e2e.tests', 'utils', 'quarantine.ts')]: () => `
+import { TestDetails } from '@playwright/test';
+
+// Quarantined tests still run and show up in every report, but their failures do not fail the build.
+// The flaky-history reporter (reporters/flaky-history.ts) finds them by this tag and overrides the run status.
+export const QUARANTINE_TAG = '@quarantine';
+
+/**
+ * Test details that quarantine a test (or a describe block), with the reason shown in the HTML report:
+ * test('checkout', quarantine('Payment sandbox times out, see JIRA-123'), async ({ page }) => { ... });
+ * @param reason Why the test is quarantined and where its fix is tracked.
+ */
+export function quarantine(reason: string): TestDetails {
+  return { tag: QUARANTINE_TAG, annotation: { type: 'quarantine', description: reason } };
+}
+`,
+    [path.join('e2e.tests', 'reporters', 'flaky-history.ts')]: (testDirName, config) => `
+import type { FullResult, Reporter, Suite, TestCase } from '@playwright/test/reporter';
+import * as fs from 'fs';
+import * as path from 'path';
+import { QUARANTINE_TAG } from '../utils/quarantine';
+
+// --- Configurable Settings ---
+// Where the history is kept across runs; point TEST_HISTORY_FILE at a cached path in CI
+export const HISTORY_FILE = process.env.TEST_HISTORY_FILE || path.join(__dirname, '..', 'test-history.json');
+// The number of runs kept per test
+const MAX_RUNS_PER_TEST = 50;
+// -----------------------------
+
+export type TestOutcome = 'passed' | 'failed' | 'flaky' | 'skipped';
+
+export type TestHistory = {
+  version: 1;
+  tests: Record<string, {
+    project: string;
+    file: string;
+    title: string;
+    quarantined: boolean;
+    runs: { at: string; outcome: TestOutcome; retries: number }[];
+  }>;
+};
+
+const OUTCOMES: Record<ReturnType<TestCase['outcome']>, TestOutcome> = {
+  expected: 'passed',
+  unexpected: 'failed',
+  flaky: 'flaky',
+  skipped: 'skipped',
+};
+
+/**
+ * Records the outcome of every test in a JSON history and keeps quarantined failures from failing the build.
+ * Report on the history with '${pmRun(config, 'report:flaky')}'.
+ */
+export default class FlakyHistoryReporter implements Reporter {
+  private rootSuite?: Suite;
+
+  onBegin(_config: unknown, suite: Suite): void {
+    this.rootSuite = suite;
+  }
+
+  async onEnd(result: FullResult): Promise<{ status?: FullResult['status'] } | undefined> {
+    const tests = this.rootSuite ? this.rootSuite.allTests() : [];
+    this.record(tests);
+
+    // Only a plain test failure can be forgiven; timeouts and interruptions always fail the run
+    const failed = tests.filter(test => test.outcome() === 'unexpected');
+    if (result.status !== 'failed' || failed.length === 0 || !failed.every(test => test.tags.includes(QUARANTINE_TAG))) {
+      return undefined;
+    }
+    console.log(\`\\n🧪 \${failed.length} quarantined test(s) failed; the build still passes. Run '${pmRun(config, 'report:flaky')}' for details.\`);
+    return { status: 'passed' };
+  }
+
+  private record(tests: TestCase[]): void {
+    const history: TestHistory = fs.existsSync(HISTORY_FILE)
+      ? JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8'))
+      : { version: 1, tests: {} };
+    const at = new Date().toISOString();
+
+    for (const test of tests) {
+      // Tests that never started (e.g. after --max-failures) have no outcome worth keeping
+      if (test.results.length === 0) {
+        continue;
+      }
+      const [, project, , ...titles] = test.titlePath();
+      // Relative to the test folder, so the keys do not depend on where the run was started
+      const file = path.relative(path.join(__dirname, '..'), test.location.file).split(path.sep).join('/');
+      const key = \`[\${project}] \${file} › \${titles.join(' › ')}\`;
+      const entry = history.tests[key] || { project, file, title: titles.join(' › '), quarantined: false, runs: [] };
+      entry.quarantined = test.tags.includes(QUARANTINE_TAG);
+      entry.runs = [...entry.runs, { at, outcome: OUTCOMES[test.outcome()], retries: test.results.length - 1 }].slice(-MAX_RUNS_PER_TEST);
+      history.tests[key] = entry;
+    }
+
+    fs.mkdirSync(path.dirname(HISTORY_FILE), { recursive: true });
+    fs.writeFileSync(HISTORY_FILE, JSON.stringify(history, null, 2) + '\\n');
+  }
+
+  printsToStdio(): boolean {
+    return false;
+  }
+}
+`,
+    [path.join('e2e.tests', 'scripts', 'flaky-report.js')]: (testDirName, config) => `
+// Lists the flakiest tests from the history the flaky-history reporter keeps, and suggests tests to quarantine or release.
+// Usage: node flaky-report.js [--top <n>] [--json]   (${pmRun(config, 'report:flaky')})
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_FILE = process.env.TEST_HISTORY_FILE || path.join(__dirname, '..', 'test-history.json');
+// A test is suggested for quarantine once this share of its recent runs failed or needed a retry...
+const QUARANTINE_RATE = 0.2;
+// ...over at least this many runs
+const MIN_RUNS = 5;
+// A quarantined test is suggested for release after this many passing runs in a row
+const RELEASE_STREAK = 10;
+
+function parseArgs(argv) {
+    const topIndex = argv.indexOf('--top');
+    return {
+        top: topIndex === -1 ? 10 : Number(argv[topIndex + 1]) || 10,
+        json: argv.includes('--json'),
+    };
+}
+
+/**
+ * Summarizes the recorded runs of one test. Skipped runs say nothing about flakiness and are left out.
+ */
+function summarize(key, entry) {
+    const runs = entry.runs.filter(run => run.outcome !== 'skipped');
+    const count = outcome => runs.filter(run => run.outcome === outcome).length;
+    let passStreak = 0;
+    while (passStreak < runs.length && runs[runs.length - 1 - passStreak].outcome === 'passed') {
+        passStreak++;
+    }
+    const unstable = count('failed') + count('flaky');
+    return {
+        key,
+        quarantined: entry.quarantined,
+        runs: runs.length,
+        passed: count('passed'),
+        flaky: count('flaky'),
+        failed: count('failed'),
+        flakeRate: runs.length > 0 ? unstable / runs.length : 0,
+        passStreak,
+    };
+}
+
+function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!fs.existsSync(HISTORY_FILE)) {
+        console.error(\`No test history at \${HISTORY_FILE} yet. Run the tests at least once.\`);
+        process.exit(1);
+    }
+
+    const history = JSON.parse(fs.readFileSync(HISTORY_FILE, 'utf8'));
+    const summaries = Object.entries(history.tests).map(([key, entry]) => summarize(key, entry));
+    const flakiest = summaries.filter(summary => summary.flakeRate > 0).sort((a, b) => b.flakeRate - a.flakeRate || b.runs - a.runs).slice(0, args.top);
+    const toQuarantine = summaries.filter(summary => !summary.quarantined && summary.runs >= MIN_RUNS && summary.flakeRate >= QUARANTINE_RATE);
+    const toRelease = summaries.filter(summary => summary.quarantined && summary.passStreak >= RELEASE_STREAK);
+
+    if (args.json) {
+        console.log(JSON.stringify({ flakiest, toQuarantine, toRelease, quarantined: summaries.filter(summary => summary.quarantined) }, null, 2));
+        return;
+    }
+
+    const percent = rate => \`\${Math.round(rate * 100)}%\`.padStart(4);
+    console.log(\`\\n📊 Flakiest tests (\${summaries.length} tracked, history in \${path.relative(process.cwd(), HISTORY_FILE)})\`);
+    if (flakiest.length === 0) {
+        console.log('   None: every recorded run passed on the first attempt.');
+    }
+    for (const summary of flakiest) {
+        console.log(\`   \${percent(summary.flakeRate)}  \${summary.failed} failed, \${summary.flaky} flaky of \${summary.runs} runs\${summary.quarantined ? ' (quarantined)' : ''}  \${summary.key}\`);
+    }
+
+    console.log(\`\\n🧪 Suggested for quarantine (at least \${percent(QUARANTINE_RATE).trim()} unstable over \${MIN_RUNS}+ runs): add quarantine('<reason>') from utils/quarantine.ts to the test\`);
+    toQuarantine.forEach(summary => console.log(\`   \${summary.key}\`));
+    if (toQuarantine.length === 0) {
+        console.log('   None.');
+    }
+
+    console.log(\`\\n✅ Suggested for release (quarantined, passed the last \${RELEASE_STREAK}+ runs): remove the quarantine tag\`);
+    toRelease.forEach(summary => console.log(\`   \${summary.key}\`));
+    if (toRelease.length === 0) {
+        console.log('   None.');
+    }
+}
+
+main();
+`,
+    // --- NEW FILES: OpenAPI client generator and schema matcher (--openapi only) ---
+    // The generator writes api/client.ts and api/schemas.json; they are regenerated, not managed by the bootstrapper
+    [path.join('e2e.tests', 'api', 'generate-client.js')]: (testDirName, config) => !config.openapi ? null : `
+// Generates the typed API client (client.ts) and the schemas for toMatchSchema (schemas.json) from an OpenAPI 3 or Swagger 2 document.
+// Usage: node generate-client.js <openapi.json|openapi.yaml>   (${pmRun(config, 'api:generate')})
+const fs = require('fs');
+const path = require('path');
+
+const HTTP_METHODS = ['get', 'put', 'post', 'delete', 'patch', 'head', 'options'];
+
+function loadSpec(specPath) {
+    const text = fs.readFileSync(specPath, 'utf8');
+    // YAML documents need the 'yaml' package, a devDependency of this project
+    return /\\.ya?ml$/i.test(specPath) ? require('yaml').parse(text) : JSON.parse(text);
+}
+
+const toWords = text => String(text).replace(/([a-z0-9])([A-Z])/g, '$1 $2').split(/[^A-Za-z0-9]+/).filter(word => word);
+const toPascalCase = text => toWords(text).map(word => word[0].toUpperCase() + word.slice(1)).join('') || 'Unnamed';
+const toCamelCase = text => {
+    const name = toPascalCase(text);
+    return /^[0-9]/.test(name) ? \`op\${name}\` : name[0].toLowerCase() + name.slice(1);
+};
+const isIdentifier = name => /^[A-Za-z_$][A-Za-z0-9_$]*$/.test(name);
+const toPropertyName = name => isIdentifier(name) ? name : JSON.stringify(name);
+const toArgument = name => isIdentifier(name) ? \`args.\${name}\` : \`args[\${JSON.stringify(name)}]\`;
+
+/**
+ * Reads the schemas, operations and base path of the document, hiding the differences between OpenAPI 3 and Swagger 2.
+ */
+function parseSpec(spec) {
+    const isSwagger2 = String(spec.swagger || '').startsWith('2');
+    const schemas = (isSwagger2 ? spec.definitions : spec.components && spec.components.schemas) || {};
+    const refPrefix = isSwagger2 ? '#/definitions/' : '#/components/schemas/';
+
+    let basePath = isSwagger2 ? spec.basePath || '' : (spec.servers && spec.servers[0] && spec.servers[0].url) || '';
+    // Only the path of an absolute server URL is kept; the host comes from API_URL
+    basePath = /^[a-z]+:\\/\\//i.test(basePath) ? new URL(basePath).pathname : basePath;
+    basePath = basePath.replace(/\\/+$/, '');
+
+    const resolve = object => {
+        if (!object || !object.$ref) {
+            return object;
+        }
+        const target = object.$ref.replace(/^#\\//, '').split('/').reduce((node, key) => node && node[key.replace(/~1/g, '/').replace(/~0/g, '~')], spec);
+        return resolve(target);
+    };
+
+    return { isSwagger2, schemas, refPrefix, basePath, resolve };
+}
+
+/**
+ * Converts a JSON schema into a TypeScript type expression.
+ */
+function toType(schema, ctx, indent = '') {
+    if (!schema) {
+        return 'unknown';
+    }
+    if (schema.$ref) {
+        return ctx.typeNames.get(decodeURIComponent(schema.$ref.split('/').pop())) || 'unknown';
+    }
+
+    const wrap = type => /[|&]/.test(type) ? \`(\${type})\` : type;
+    let type;
+    if (schema.enum) {
+        type = schema.enum.map(value => JSON.stringify(value)).join(' | ');
+    } else if (schema.allOf) {
+        type = schema.allOf.map(part => wrap(toType(part, ctx, indent))).join(' & ');
+    } else if (schema.oneOf || schema.anyOf) {
+        type = (schema.oneOf || schema.anyOf).map(part => wrap(toType(part, ctx, indent))).join(' | ');
+    } else if (schema.type === 'integer' || schema.type === 'number') {
+        type = 'number';
+    } else if (schema.type === 'string' || schema.type === 'boolean') {
+        type = schema.type;
+    } else if (schema.type === 'array') {
+        type = \`Array<\${toType(schema.items, ctx, indent)}>\`;
+    } else if (schema.properties) {
+        const required = new Set(schema.required || []);
+        const fields = Object.entries(schema.properties).map(([name, property]) =>
+            \`\${indent}  \${toPropertyName(name)}\${required.has(name) ? '' : '?'}: \${toType(property, ctx, indent + '  ')};\`);
+        type = \`{\\n\${fields.join('\\n')}\\n\${indent}}\`;
+    } else if (schema.additionalProperties) {
+        type = \`Record<string, \${schema.additionalProperties === true ? 'unknown' : toType(schema.additionalProperties, ctx, indent)}>\`;
+    } else {
+        type = schema.type === 'object' ? 'Record<string, unknown>' : 'unknown';
+    }
+    return schema.nullable ? \`\${wrap(type)} | null\` : type;
+}
+
+/**
+ * Lists every operation with its parameters, request body and success response schema.
+ */
+function getOperations(spec, ctx) {
+    const usedNames = new Set();
+    const operations = [];
+
+    for (const [route, pathItem] of Object.entries(spec.paths || {})) {
+        for (const method of HTTP_METHODS.filter(method => pathItem[method])) {
+            const operation = pathItem[method];
+            const parameters = [...(pathItem.parameters || []), ...(operation.parameters || [])].map(ctx.resolve);
+
+            let name = toCamelCase(operation.operationId || \`\${method} \${route.replace(/[{}]/g, '')}\`);
+            for (let suffix = 2; usedNames.has(name); suffix++) {
+                name = \`\${name.replace(/\\d+$/, '')}\${suffix}\`;
+            }
+            usedNames.add(name);
+
+            // Swagger 2 describes the body as an 'in: body' parameter, OpenAPI 3 as a requestBody
+            const bodyParameter = parameters.find(parameter => parameter.in === 'body');
+            const requestBody = ctx.resolve(operation.requestBody);
+            const body = bodyParameter
+                ? { schema: bodyParameter.schema, required: Boolean(bodyParameter.required) }
+                : requestBody && { schema: getJsonSchema(requestBody.content), required: Boolean(requestBody.required) };
+
+            const success = Object.keys(operation.responses || {}).find(status => /^2/.test(status)) || 'default';
+            const response = ctx.resolve((operation.responses || {})[success]);
+            const responseSchema = response && (ctx.isSwagger2 ? response.schema : getJsonSchema(response.content));
+
+            operations.push({
+                name,
+                method: method.toUpperCase(),
+                route,
+                summary: operation.summary || operation.description || '',
+                pathParams: parameters.filter(parameter => parameter.in === 'path'),
+                queryParams: parameters.filter(parameter => parameter.in === 'query'),
+                body,
+                responseSchema,
+            });
+        }
+    }
+    return operations;
+}
+
+function getJsonSchema(content) {
+    const mediaType = Object.keys(content || {}).find(type => /json/i.test(type));
+    return mediaType ? content[mediaType].schema : undefined;
+}
+
+function renderOperation(operation, ctx) {
+    // Swagger 2 parameters carry their type directly, OpenAPI 3 parameters in a schema
+    const parameterType = parameter => toType(parameter.schema || parameter, ctx, '  ');
+    const fields = [
+        ...operation.pathParams.map(parameter => \`\${toPropertyName(parameter.name)}: \${parameterType(parameter)}\`),
+        ...operation.queryParams.map(parameter => \`\${toPropertyName(parameter.name)}\${parameter.required ? '' : '?'}: \${parameterType(parameter)}\`),
+    ];
+    if (operation.body) {
+        fields.push(\`data\${operation.body.required ? '' : '?'}: \${toType(operation.body.schema, ctx, '  ')}\`);
+    }
+    const argsRequired = operation.pathParams.length > 0 || operation.queryParams.some(parameter => parameter.required) || (operation.body && operation.body.required);
+    const argsType = fields.length > 0 ? \`{ \${fields.join('; ')} }\` : 'Record<string, never>';
+
+    const routeExpression = operation.route.replace(/\\{([^}]+)\\}/g, (match, name) => \`\\\${encodeURIComponent(String(\${toArgument(name)}))}\`);
+    const query = operation.queryParams.map(parameter => \`\${toPropertyName(parameter.name)}: \${toArgument(parameter.name)}\`).join(', ');
+
+    return \`
+  /**
+   * \${operation.method} \${operation.route}\${operation.summary ? \`: \${operation.summary.split('\\n')[0].replace(/\\*\\//g, '*\\\\/')}\` : ''}
+   */
+  async \${operation.name}(args: \${argsType}\${argsRequired ? '' : ' = {}'}, options?: RequestOptions): Promise<ApiResponse<\${toType(operation.responseSchema, ctx, '  ')}>> {
+    return this.send(\${JSON.stringify(operation.method)}, \\\`\${routeExpression}\\\`, \${query ? \`{ \${query} }\` : '{}'}, \${operation.body ? 'args.data' : 'undefined'}, options);
+  }\`;
+}
+
+function renderClient(spec, specPath, ctx) {
+    const schemaTypes = [...ctx.typeNames].map(([name, typeName]) => \`export type \${typeName} = \${toType(ctx.schemas[name], ctx)};\`);
+    const schemaNames = [...ctx.typeNames.keys()].map(name => JSON.stringify(name));
+
+    return \`// Generated from \${specPath.split(path.sep).join('/')} by api/generate-client.js. Do not edit; run '${pmRun(config, 'api:generate')}' after the spec changes.
+import { APIRequestContext, APIResponse } from '@playwright/test';
+
+\${schemaTypes.join('\\n\\n')}
+
+// The schema names toMatchSchema() accepts
+export type SchemaName = \${schemaNames.length > 0 ? schemaNames.join(' | ') : 'never'};
+
+export type RequestOptions = {
+  headers?: Record<string, string>;
+  timeout?: number;
+  failOnStatusCode?: boolean;
+};
+
+// A Playwright APIResponse whose json() is typed with the operation's success response
+export type ApiResponse<T> = Omit<APIResponse, 'json'> & { json(): Promise<T> };
+
+// The path of the API below API_URL, taken from the spec's \${ctx.isSwagger2 ? 'basePath' : 'first server URL'}
+const BASE_PATH = \${JSON.stringify(ctx.basePath)};
+
+/**
+ * \${spec.info && spec.info.title ? \`\${spec.info.title}\${spec.info.version ? \` \${spec.info.version}\` : ''}\` : 'API'}: one method per operation of the spec.
+ */
+export class ApiClient {
+  constructor(private readonly request: APIRequestContext, private readonly baseURL: string) {}
+\${ctx.operations.map(operation => renderOperation(operation, ctx)).join('\\n')}
+
+  private async send<T>(method: string, route: string, query: Record<string, unknown>, data: unknown, options: RequestOptions = {}): Promise<ApiResponse<T>> {
+    const params: Record<string, string | number | boolean> = {};
+    for (const [name, value] of Object.entries(query)) {
+      if (value !== undefined) {
+        params[name] = Array.isArray(value) ? value.join(',') : value as string | number | boolean;
+      }
+    }
+    // Without a trailing slash, resolving against the base would drop its last path segment (e.g. /api)
+    const base = this.baseURL.endsWith('/') ? this.baseURL : \\\`\\\${this.baseURL}/\\\`;
+    const url = new URL(\\\`\\\${BASE_PATH}\\\${route}\\\`.replace(/^\\\\//, ''), base).href;
+    const response = await this.request.fetch(url, { ...options, method, params, data });
+    return response as unknown as ApiResponse<T>;
+  }
+}
+\`;
+}
+
+function main() {
+    const specPath = process.argv[2];
+    if (!specPath) {
+        console.error('Usage: node generate-client.js <openapi.json|openapi.yaml>');
+        process.exit(1);
+    }
+
+    const spec = loadSpec(specPath);
+    const ctx = parseSpec(spec);
+    ctx.typeNames = new Map();
+    for (const name of Object.keys(ctx.schemas)) {
+        let typeName = toPascalCase(name);
+        while ([...ctx.typeNames.values()].includes(typeName) || ['ApiClient', 'ApiResponse', 'RequestOptions', 'SchemaName'].includes(typeName)) {
+            typeName = \`\${typeName}Schema\`;
+        }
+        ctx.typeNames.set(name, typeName);
+    }
+    ctx.operations = getOperations(spec, ctx);
+
+    fs.writeFileSync(path.join(__dirname, 'client.ts'), renderClient(spec, specPath, ctx));
+
+    // toMatchSchema() validates against these, with the $refs of the spec intact
+    const refs = Object.fromEntries(Object.keys(ctx.schemas).map(name => [name, \`\${ctx.refPrefix}\${name.replace(/~/g, '~0').replace(/\\//g, '~1')}\`]));
+    const document = ctx.isSwagger2 ? { definitions: ctx.schemas } : { components: { schemas: ctx.schemas } };
+    fs.writeFileSync(path.join(__dirname, 'schemas.json'), JSON.stringify({ refs, document }, null, 2) + '\\n');
+
+    console.log(\`✅ Generated \${ctx.operations.length} operation(s) and \${ctx.typeNames.size} schema type(s) from \${specPath}\`);
+}
+
+main();
+`,
+    [path.join('e2e.tests', 'utils', 'schemaMatchers.ts')]: (testDirName, config) => !config.openapi ? null : `
+import Ajv, { ValidateFunction } from 'ajv';
+import * as fs from 'fs';
+import * as path from 'path';
+import type { SchemaName } from '../api/client';
+
+// Written by api/generate-client.js next to the client: the spec's schemas and where each one lives in it
+const SCHEMAS_FILE = path.join(__dirname, '..', 'api', 'schemas.json');
+
+// OpenAPI schemas carry keywords JSON Schema does not know (example, xml, discriminator) and formats like int64
+const ajv = new Ajv({ allErrors: true, strict: false, validateFormats: false });
+let refs: Record<string, string> | undefined;
+const validators = new Map<string, ValidateFunction>();
+
+function getValidator(name: string): ValidateFunction {
+  if (!refs) {
+    const schemas = JSON.parse(fs.readFileSync(SCHEMAS_FILE, 'utf8'));
+    ajv.addSchema({ ...schemas.document, $id: 'openapi' });
+    refs = schemas.refs as Record<string, string>;
+  }
+  if (!refs[name]) {
+    throw new Error(\`Unknown schema "\${name}". Expected one of: \${Object.keys(refs).join(', ')}. Run '${pmRun(config, 'api:generate')}' after the spec changes.\`);
+  }
+  if (!validators.has(name)) {
+    validators.set(name, ajv.compile({ $ref: \`openapi\${refs[name]}\` }));
+  }
+  return validators.get(name)!;
+}
+
+/**
+ * Custom matchers for expect.extend(): expect(body).toMatchSchema('Pet') validates a value against a schema of the spec.
+ */
+export const schemaMatchers = {
+  toMatchSchema(received: unknown, name: SchemaName) {
+    const validate = getValidator(name);
+    const pass = validate(received) as boolean;
+    const errors = (validate.errors || []).map(error => \`  \${error.instancePath || '(root)'} \${error.message}\`).join('\\n');
+    return {
+      pass,
+      name: 'toMatchSchema',
+      expected: name,
+      actual: received,
+      message: () => pass
+        ? \`Expected the value not to match schema "\${name}"\`
+        : \`Expected the value to match schema "\${name}":\\n\${errors}\`,
+    };
+  },
+};
+`,
+    [path.join('e2e.tests', 'utils', 'NetworkMocker.ts')]: () => `
+import { expect, Page, Request, Route, TestInfo } from '@playwright/test';
+import * as fs from 'fs';
+import * as path from 'path';
+
+// --- Configurable Settings ---
+// Only requests matching this glob (or RegExp) are recorded, replayed and reported, e.g. '**/api/**'. Default: all requests.
+export const MOCK_URL_FILTER: string | RegExp = '**/*';
+// -----------------------------
+
+// HAR recordings and stub files, committed next to the specs
+export const MOCKS_DIR = path.join(__dirname, '..', 'mocks');
+
+// live: real backend (stubs still apply), record: refresh the HAR files, replay: serve requests from the HAR files
+export type MockMode = 'live' | 'record' | 'replay';
+const MOCK_MODES: MockMode[] = ['live', 'record', 'replay'];
+
+/**
+ * Reads MOCK_MODE, failing fast on a typo instead of silently hitting the real backend.
+ */
+export function mockModeFromEnv(): MockMode {
+  const mode = (process.env.MOCK_MODE || 'live') as MockMode;
+  if (!MOCK_MODES.includes(mode)) {
+    throw new Error(\`Unknown MOCK_MODE "\${mode}". Expected one of: \${MOCK_MODES.join(', ')}.\`);
+  }
+  return mode;
+}
+
+// A declarative JSON response for every request matching url (and method, if given)
+export type RouteStub = {
+  url: string | RegExp;
+  method?: string;
+  status?: number;
+  headers?: Record<string, string>;
+  json?: unknown;
+  body?: string;
+};
+
+/**
+ * Records, replays and stubs the network traffic of one test.
+ */
+export class NetworkMocker {
+  private readonly unmatched: string[] = [];
+
+  constructor(
+    private readonly page: Page,
+    private readonly testInfo: TestInfo,
+    private readonly options: { mode: MockMode; strict: boolean },
+  ) {}
+
+  /**
+   * The HAR file of this test: mocks/<spec path>/<test title>.har
+   */
+  get harFile(): string {
+    const spec = path.relative(this.testInfo.project.testDir, this.testInfo.file).replace(/\\.[jt]s$/, '');
+    const title = this.testInfo.titlePath.slice(1).join(' ').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return path.join(MOCKS_DIR, spec, \`\${title}.har\`);
+  }
+
+  /**
+   * Routes the page according to the mock mode. Called by the fixture before the test starts.
+   */
+  async start(): Promise<void> {
+    if (this.options.mode === 'record') {
+      fs.mkdirSync(path.dirname(this.harFile), { recursive: true });
+      // The HAR file is written when the browser context closes
+      await this.page.routeFromHAR(this.harFile, { url: MOCK_URL_FILTER, update: true, updateContent: 'embed' });
+      return;
+    }
+    if (this.options.mode !== 'replay') {
+      return;
+    }
+
+    // Registered first, so it only sees what neither a stub nor the recording answered
+    await this.page.route(MOCK_URL_FILTER, route => this.handleUnmatched(route));
+    if (fs.existsSync(this.harFile)) {
+      await this.page.routeFromHAR(this.harFile, { url: MOCK_URL_FILTER, notFound: 'fallback' });
+    } else {
+      this.testInfo.annotations.push({ type: 'mock', description: \`No recording at \${this.harFile}, run with MOCK_MODE=record\` });
+    }
+  }
+
+  /**
+   * Answers matching requests with canned responses, in every mock mode. Later stubs win over earlier ones.
+   * @param stubs One stub or a list of them.
+   */
+  async stub(stubs: RouteStub | RouteStub[]): Promise<void> {
+    for (const stub of Array.isArray(stubs) ? stubs : [stubs]) {
+      await this.page.route(stub.url, route => {
+        if (stub.method && route.request().method() !== stub.method.toUpperCase()) {
+          return route.fallback();
+        }
+        return stub.json !== undefined
+          ? route.fulfill({ status: stub.status ?? 200, headers: stub.headers, json: stub.json })
+          : route.fulfill({ status: stub.status ?? 200, headers: stub.headers, body: stub.body ?? '' });
+      });
+    }
+  }
+
+  /**
+   * Registers the stubs of a JSON file (one stub or a list) from the mocks folder.
+   * @param file The path relative to mocks/, e.g. 'stubs/pets.json'.
+   */
+  async stubFromFile(file: string): Promise<void> {
+    await this.stub(JSON.parse(fs.readFileSync(path.join(MOCKS_DIR, file), 'utf8')));
+  }
+
+  /**
+   * The requests a replay run could not answer, as "METHOD url".
+   */
+  get unmatchedRequests(): string[] {
+    return [...this.unmatched];
+  }
+
+  /**
+   * Reports unmatched requests and, in strict mode, fails the test on them. Called by the fixture after the test.
+   */
+  async finish(): Promise<void> {
+    if (this.unmatched.length === 0) {
+      return;
+    }
+    await this.testInfo.attach('unmatched-requests.txt', { body: this.unmatched.join('\\n'), contentType: 'text/plain' });
+    if (this.options.strict) {
+      expect(this.unmatched, \`\${this.unmatched.length} request(s) had no recording or stub, see the unmatched-requests attachment\`).toEqual([]);
+    }
+  }
+
+  private async handleUnmatched(route: Route): Promise<void> {
+    this.unmatched.push(describeRequest(route.request()));
+    // Strict runs never reach the backend; otherwise the request goes through and is only reported
+    if (this.options.strict) {
+      await route.abort('failed');
+    } else {
+      await route.continue();
+    }
+  }
+}
+
+const describeRequest = (request: Request) => \`\${request.method()} \${request.url()}\`;
+`,
+    [path.join('e2e.tests', 'tests', 'network_mock.spec.ts')]: () => `
+import { test, expect } from '../fixtures/baseTest';
+
+test.describe('Network Mocking Showcase', () => {
+    test('should answer an API call with an inline JSON stub', async ({ page, network }) => {
+        await network.stub({ url: '**/v2/pet/1', method: 'GET', json: { id: 1, name: 'Stubbed Rex', status: 'sold' } });
+        await page.goto('/');
+
+        const pet = await page.evaluate(() => fetch('/v2/pet/1').then(response => response.json()));
+        expect(pet.name).toBe('Stubbed Rex');
+    });
+
+    test('should answer an API call with stubs from a file', async ({ page, network }) => {
+        await network.stubFromFile('stubs/pet.json');
+        await page.goto('/');
+
+        const response = await page.evaluate(() => fetch('/v2/pet/404').then(response => response.status));
+        expect(response).toBe(404);
+    });
+});
+`,
+    // Declarative stubs for network.stubFromFile(): one stub or a list of them
+    [path.join('e2e.tests', 'mocks', 'stubs', 'pet.json')]: () => `
+[
+  {
+    "url": "**/v2/pet/404",
+    "method": "GET",
+    "status": 404,
+    "json": { "code": 1, "type": "error", "message": "Pet not found" }
+  }
+]
+`,
+    [path.join('e2e.tests', 'utils', 'VisualChecker.ts')]: (testDirName, config) => `
+import { expect, Locator, Page, PageAssertionsToHaveScreenshotOptions } from '@playwright/test';
+
+// --- Configurable Settings ---
+// Selectors of dynamic regions (clocks, ads, avatars) masked in every screenshot
+export const VISUAL_MASKS: string[] = [${config.visual.masks.map(toTsString).join(', ')}];
+// -----------------------------
+
+export type VisualCheckOptions = PageAssertionsToHaveScreenshotOptions & {
+  // Capture this element instead of the whole page
+  target?: Locator;
+};
+
+/**
+ * Screenshot assertions with the project's default masks. Thresholds, animations, the caret and the injected
+ * stylesheet come from expect.toHaveScreenshot in playwright.config.ts.
+ */
+export class VisualChecker {
+  constructor(private readonly page: Page) {}
+
+  /**
+   * Compares the page (or one element) with its baseline, masking the default dynamic regions plus any extra ones.
+   * @param name The baseline file name, e.g. 'homepage.png'.
+   * @param options Any toHaveScreenshot() option; \`mask\` adds to the default masks.
+   */
+  async check(name: string, options: VisualCheckOptions = {}): Promise<void> {
+    const { target, mask = [], ...screenshotOptions } = options;
+    const masks = [...VISUAL_MASKS.map(selector => this.page.locator(selector)), ...mask];
+
+    if (target) {
+      // Page-only options (fullPage, clip) do not apply to an element
+      const { fullPage, clip, ...elementOptions } = screenshotOptions;
+      await expect(target).toHaveScreenshot(name, { ...elementOptions, mask: masks });
+    } else {
+      await expect(this.page).toHaveScreenshot(name, { ...screenshotOptions, mask: masks });
+    }
+  }
+}
+`,
+    // Injected into the page before every screenshot (stylePath); only used with stable rendering
+    [path.join('e2e.tests', 'visual.css')]: (testDirName, config) => !config.visual.stableRendering ? null : `
+/* Injected before every screenshot via expect.toHaveScreenshot.stylePath in playwright.config.ts. */
+/* Hide or freeze what changes between runs but is not worth a mask, e.g. carousels or relative dates. */
+
+*,
+*::before,
+*::after {
+  transition: none !important;
+}
+
+[data-visual-hide] {
+  visibility: hidden !important;
+}
+`,
+    [path.join('e2e.tests', 'tests', 'visual.spec.ts')]: (testDirName, config) => `
+// FIX: Changed from '~/fixtures/baseTest' to relative path
+import { test } from '../fixtures/baseTest';
+
+test.describe('Visual Regression Test', () => {
+    test('should match the baseline screenshot of the homepage body', async ({ page, visual }) => {
+        // Removed 'waitUntil: domcontentloaded'
+        await page.goto('/');
+
+        // Thresholds, masks and stable rendering come from the visual settings in playwright.config.ts
+        await visual.check('homepage-content-baseline.png', { target: page.locator('#content') });
+    });
+});
+`,
+    [path.join('e2e.tests', 'tests', 'the-internet-sample.spec.ts')]: () => `
+// FIX: Changed from '~/fixtures/baseTest' to relative path
+import { test, expect } from '../fixtures/baseTest';
+
+test.describe('Video Recording Showcase', () => {
+  test('should navigate to A/B Testing page and verify header', async ({ page }) => {
+    await page.goto('/');
+
+    const abTestLink = page.getByRole('link', { name: 'A/B Testing' });
+    await expect(abTestLink).toBeVisible();
+    
+    await abTestLink.click();
+    
+    const newHeader = page.getByRole('heading', { level: 3 });
+    await expect(newHeader).toBeVisible();
+    
+    await expect(page).toHaveURL(/.*abtest/);
+  });
+});
+`,
+    [path.join('e2e.tests', 'tests', 'volatile.spec.ts')]: (testDirName, config) => `
+// FIX: Changed from '~/fixtures/baseTest' to relative path
+import { test, expect, skipIfNoRetry, quarantine } from '../fixtures/baseTest';
+
+test.describe('Volatile Test Suite Demonstrating Conditional Retries', () => {
+
+    test('should retry 2 times on failure (Default Global Behavior)', async ({ page }) => {
+        await page.goto('/');
+        await expect(page.locator('h1')).toBeVisible(); 
+    });
+
+    test('should skip on retry if tagged as volatile @no-retry', async ({ page, testInfo }) => {
+        
+        // --- CONDITIONAL RETRY LOGIC ---
+        skipIfNoRetry(testInfo);
+        // -------------------------------
+
+        await page.goto('/status_codes');
+        await page.getByRole('link', { name: '200' }).click();
+        await expect(page.locator('p')).toContainText('This page returned a 200 status code.');
+    });
+
+    // Quarantined: still runs and is reported (and tracked by '${pmRun(config, 'report:flaky')}'), but a failure does not fail the build
+    test('should keep running while quarantined', quarantine('Example of a quarantined test'), async ({ page }) => {
+        await page.goto('/status_codes');
+        await expect(page.getByRole('link', { name: '404' })).toBeVisible();
+    });
+});
+`,
+    [path.join('e2e.tests', 'tests', 'expected-fail.spec.ts')]: () => `
+// This test is designed to FAIL intentionally to demonstrate Playwright's error logging, 
+// automatic retries (if configured), and screenshot capture on failure.
+// You should see this test retry and eventually fail in the console output.
+import { test, expect } from '../fixtures/baseTest';
+
+test.describe('Expected Failure Showcase', () => {
+    test('should fail to demonstrate error reporting and retry behavior', async ({ page }) => {
+        await page.goto('/');
+
+        // This assertion is GUARANTEED to fail because the homepage title is 'The Internet'
+        // and it will never be 'INTENTIONALLY FAILED TEST'.
+        await expect(page).toHaveTitle('INTENTIONALLY FAILED TEST', { timeout: 1000 });
+    });
+});
+`,
+    [path.join('e2e.tests', 'utils', 'GlobalData.ts')]: () => `
+import testData from '../testdata.json';
+
+// Utility class to load and expose data from testdata.json using the Singleton pattern.
+export class GlobalData {
+    private static instance: GlobalData;
+    public readonly app: { expectedTitle: string, expectedQuote: string, resumeLink: string };
+
+    private constructor() {
+        this.app = testData.app;
+    }
+
+    public static getInstance(): GlobalData {
+        if (!GlobalData.instance) {
+            GlobalData.instance = new GlobalData();
+        }
+        return GlobalData.instance;
+    }
+}
+`,
+    [path.join('e2e.tests', 'utils', 'TestUtils.ts')]: () => `
+import { Page } from '@playwright/test';
+
+// Utility class for common, reusable actions.
+export class TestUtils { 
+    constructor(private page: Page) {} 
+
+    /**
+     * Example: Custom wait function
+     */
+    async customWait(ms: number) {
+        await this.page.waitForTimeout(ms);
+        console.log(\`Waited for \${ms}ms.\`);
+    }
+}
+`,
+    // Needs the v1.56 page data APIs, so it is left out for older Playwright versions
+    [path.join('e2e.tests', 'tests', 'network_data.spec.ts')]: (testDirName, config) => !supportsPlaywright(config, '1.56.0') ? null : `
+// FIX: Changed from '~/fixtures/baseTest' to relative path
+import { test, expect } from '../fixtures/baseTest';
+
+test.describe('Network and Console Data Showcase (v1.56 New APIs)', () => {
+    
+    // --- SHOWCASE: page.consoleMessages() and page.pageErrors() (v1.56) ---
+    test('should capture and verify console log messages using new APIs', async ({ page }) => {
+        
+        await page.goto('/');
+
+        // Trigger console messages and an error on the client side
+        await page.evaluate(() => {
+            console.log('CLIENT_LOG: Page is fully loaded and interactive.');
+            console.error('CLIENT_ERROR: An expected non-fatal error occurred.');
+            // Note: page.pageErrors() will catch unhandled exceptions, not console.error
+        });
+        
+        // No manual listeners required! The new API gets recent messages.
+        const consoleMessages = await page.consoleMessages();
+        
+        const logMessage = consoleMessages.find(msg => msg.text().includes('CLIENT_LOG:'));
+        expect(logMessage, 'Expected console log message not found.').toBeDefined();
+        expect(logMessage!.type()).toBe('log');
+
+        const errorMessage = consoleMessages.find(msg => msg.text().includes('CLIENT_ERROR:'));
+        expect(errorMessage, 'Expected console error message not found.').toBeDefined();
+        expect(errorMessage!.type()).toBe('error');
+
+        // Optional: Example of checking for unhandled exceptions (pageErrors)
+        const pageErrors = await page.pageErrors();
+        expect(pageErrors.length, 'No unhandled page errors should have occurred.').toBe(0);
+    });
+
+    // --- SHOWCASE: page.requests() (v1.56) ---
+    test('should capture and verify network requests using new API', async ({ page }) => {
+        
+        // Navigating to the page generates network requests
+        await page.goto('/');
+        
+        // Wait for all network activity to finish
+        await page.waitForLoadState('networkidle');
+
+        // No manual listeners required! The new API gets recent requests.
+        const requests = await page.requests();
+
+        const mainRequest = requests.find(req => req.url().endsWith('/') && req.method() === 'GET');
+        expect(mainRequest, 'Main page request not found.').toBeDefined();
+        
+        // Await the response of the captured request
+        expect(mainRequest!.response()).toBeTruthy();
+        expect((await mainRequest!.response())!.status()).toBe(200);
+
+        const cssRequest = requests.find(req => req.resourceType() === 'stylesheet');
+        expect(cssRequest, 'A stylesheet request was expected.').toBeDefined();
+
+        console.log(\`Captured \${requests.length} total network requests during navigation (using page.requests()).\`);
+    });
+});
+`
+});
+
+/**
+ * Renders a URL for generated code. A URL on the base or API URL's origin becomes relative to the
+ * selected environment profile (ENV.baseURL or ENV.apiURL), so it follows TEST_ENV; any other URL stays literal.
+ * @param {string} url
+ * @param {Object} config The configuration object.
+ * @returns {string} A TypeScript expression.
+ */
+/**
+ * Renders reporter names as entries of a ReporterDescription[] with their output paths.
+ * @param {string[]} names
+ * @returns {string}
+ */
+function renderReporters(names) {
+    return names.map(name => REPORTER_OPTIONS[name] ? `  ['${name}', ${REPORTER_OPTIONS[name]}],` : `  ['${name}'],`).join('\n');
+}
+
+/**
+ * @param {Object} config The configuration object.
+ * @returns {boolean} Whether any run writes blob reports to merge.
+ */
+function usesBlobReporter(config) {
+    return config.reporters.includes('blob') || config.ciReporters.includes('blob');
+}
+
+/**
+ * The reporters a merged sharded run produces: every selected file reporter, or at least the HTML report.
+ * @param {Object} config The configuration object.
+ * @returns {string[]}
+ */
+function getMergeReporters(config) {
+    const fileReporters = [...new Set([...config.ciReporters, ...config.reporters])].filter(name => REPORTER_OPTIONS[name] && name !== 'blob');
+    return fileReporters.length > 0 ? fileReporters : ['html'];
+}
+
+/**
+ * @param {string} testDirName
+ * @param {string} name The reporter name.
+ * @returns {string} Where the reporter writes to, for the README.
+ */
+function getReporterOutput(testDirName, name) {
+    const outputs = {
+        html: `\`${testDirName}/html-report/\``,
+        junit: `\`${testDirName}/reports/junit.xml\``,
+        json: `\`${testDirName}/reports/results.json\``,
+        blob: `\`${testDirName}/blob-report/\``,
+        github: 'Annotations in GitHub Actions',
+    };
+    return outputs[name] || 'Terminal';
+}
+
+/**
+ * @param {Object} config The configuration object.
+ * @returns {string} The path of the generated pipeline file, for messages.
+ */
+function getCiPipelineFile(config) {
+    const files = { github: '.github/workflows/playwright.yml', gitlab: '.gitlab-ci.yml', azure: 'azure-pipelines.yml', jenkins: 'Jenkinsfile' };
+    return files[config.ci.provider];
+}
+
+/**
+ * The environment variables a CI job needs, with the bootstrap values as defaults for everything but credentials.
+ * @param {Object} config The configuration object.
+ * @returns {{ name: string, value: string, secret: boolean }[]}
+ */
+function getCiVariables(config) {
+    return [
+        { name: 'TEST_ENV', value: config.envProfiles[0], secret: false },
+        ...getEnvVariables(config).map(variable => ({ ...variable, secret: !['BASE_URL', 'API_URL'].includes(variable.name) })),
+    ];
+}
+
+/**
+ * The browsers the selected projects run on (mobile-chrome runs on Chromium), i.e. the ones to install.
+ * @param {Object} config The configuration object.
+ * @returns {string[]}
+ */
+function getProjectBrowsers(config) {
+    return [...new Set(config.browserProjects.map(project => project === 'mobile-chrome' ? 'chromium' : project))];
+}
+
+/**
+ * The browser the login of the auth setup runs in: the one of the first project, so it is installed with the projects.
+ * @param {Object} config The configuration object.
+ * @returns {string} chromium, firefox or webkit.
+ */
+function getLoginBrowser(config) {
+    return getProjectBrowsers(config)[0];
+}
+
+/**
+ * @param {string} testDirName
+ * @param {Object} config The configuration object.
+ * @param {string|null} shard The provider's "<index>/<total>" expression, or null for a single job.
+ * @returns {string} The command a CI job runs the selected browser projects with.
+ */
+function getCiTestCommand(testDirName, config, shard) {
+    const projects = config.browserProjects.map(project => `--project=${project}`).join(' ');
+    return pmExec(config, `playwright test --config=${testDirName}/playwright.config.ts ${projects}${shard ? ` --shard=${shard}` : ''}`);
+}
+
+function toProfileUrl(url, config) {
+    const target = new URL(url);
+    for (const [origin, expression] of [[config.baseURL, 'ENV.baseURL'], [config.apiUrl, 'ENV.apiURL']]) {
+        if (new URL(origin).origin === target.origin) {
+            return `new URL(${toTsString(target.pathname + target.search + target.hash)}, ${expression}).href`;
+        }
+    }
+    return toTsString(url);
+}
+
+/**
+ * Lists the variables every environment profile defines, with their values for the default (first) profile.
+ * @param {Object} config The configuration object.
+ * @returns {{ name: string, value: string }[]}
+ */
+function getEnvVariables(config) {
+    const variables = [
+        { name: 'BASE_URL', value: config.baseURL },
+        { name: 'API_URL', value: config.apiUrl },
+    ];
+    for (const role of (config.auth.roles || []).filter(role => role.credentials)) {
+        const prefix = getRoleEnvPrefix(role.name);
+        variables.push({ name: `${prefix}_USERNAME`, value: role.credentials.username });
+        variables.push({ name: `${prefix}_PASSWORD`, value: role.credentials.password });
+    }
+    return variables;
+}
+
+/**
+ * Renders the .env.<profile> file of an environment profile. Only the default (first) profile is filled in
+ * with the bootstrap settings; the others list the same variables, empty, so selecting them fails fast until filled in.
+ * @param {Object} config The configuration object.
+ * @param {string} profile
+ * @returns {string}
+ */
+function getEnvProfileFile(config, profile) {
+    const isDefault = profile === config.envProfiles[0];
+    const lines = getEnvVariables(config).map(variable => `${variable.name}=${isDefault ? quoteEnvValue(variable.value, variable.name) : ''}`);
+    return `# Environment profile '${profile}', selected with TEST_ENV=${profile}. Not committed: keep credentials here.\n${lines.join('\n')}\n`;
+}
+
+/**
+ * Quotes a .env value when it contains characters dotenv would otherwise interpret. dotenv does not unescape
+ * quotes, so the value is wrapped in a quote character it does not contain: single quotes, then backticks,
+ * then double quotes (which expand \n and \r, so only for values without them).
+ * @param {string} value
+ * @param {string} name The variable name, for the error message.
+ * @returns {string}
+ */
+function quoteEnvValue(value, name) {
+    const text = String(value);
+    if (/^[\w./:@-]*$/.test(text)) {
+        return text;
+    }
+    const quote = ["'", '`', '"'].find(char => !text.includes(char) && (char !== '"' || !/\\[nr]/.test(text)));
+    if (!quote) {
+        throw new Error(`The value of ${name} cannot be quoted in a .env file: it contains ' and \` as well as " or \\n. Set ${name} in the environment instead.`);
+    }
+    return `${quote}${text}${quote}`;
+}
+
+/**
+ * Renders auth.setup.ts for the 'api-token' strategy: POSTs each role's credentials and stores either the
+ * resulting cookies (as a storage state) or the token itself (sent as a Bearer header by the config).
+ * @param {Object} config The configuration object.
+ * @returns {string}
+ */
+function getApiTokenSetup(config) {
+    const auth = config.auth;
+    const usesCookie = auth.tokenStorage === 'cookie';
+    const saveStep = usesCookie
+        ? `        // The endpoint answered with a session cookie, which becomes the role's storage state
+        await context.storageState({ path: storageStatePath(role) });`
+        : `        const body = await response.json();
+        const token = TOKEN_FIELD.split('.').reduce((value: any, key) => value?.[key], body);
+        if (typeof token !== 'string' || token === '') {
+            throw new Error(\`The response has no string token at '\${TOKEN_FIELD}'.\`);
+        }
+        fs.mkdirSync(path.dirname(tokenPath(role)), { recursive: true });
+        fs.writeFileSync(tokenPath(role), JSON.stringify({ token }, null, 2));`;
+    const sessionPath = usesCookie ? 'storageStatePath' : 'tokenPath';
+    const anonymousStep = usesCookie
+        ? `            await context.storageState({ path: storageStatePath(role) });`
+        : `            // authHeaders() sends nothing for a role without credentials
+            fs.rmSync(tokenPath(role), { force: true });`;
+
+    return `
+import { ${auth.mode === 'setup-project' ? 'test as setup, ' : ''}request } from '@playwright/test';
+import * as fs from 'fs';
+${usesCookie ? '' : `import * as path from 'path';\n`}import { ROLES, Role, ${sessionPath} } from './fixtures/roles';
+import { ENV } from './utils/env';
+
+// --- Constants for Authentication ---
+const TOKEN_URL = ${toProfileUrl(auth.tokenUrl, config)};
+${usesCookie ? '' : `// Dot path of the token in the JSON response
+const TOKEN_FIELD = ${toTsString(auth.tokenField)};
+`}${getSessionReuseCheck(config)}
+/**
+ * Requests a token for a role and saves ${usesCookie ? 'its session state' : 'it'}, unless the saved one is still valid.
+ */
+async function saveRoleAuth(role: Role): Promise<void> {
+    const credentials = ROLES[role];
+    if (credentials && !(await needsLogin(role))) {
+        return;
+    }
+
+    const context = await request.newContext();
+
+    try {
+        if (!credentials) {
+${anonymousStep}
+            console.log(\`✅ '\${role}' has no credentials and browses anonymously.\`);
+            return;
+        }
+
+        const response = await context.post(TOKEN_URL, { data: credentials });
+        if (!response.ok()) {
+            throw new Error(\`Token request failed with HTTP \${response.status()}.\`);
+        }
+
+${saveStep}
+        console.log(\`✅ Authentication for '\${role}' saved to: \${${sessionPath}(role)}\`);
+    } finally {
+        await context.dispose();
+    }
+}
+
+${auth.mode === 'setup-project' ? `// Every role requests its token as its own test of the 'setup' project, so failures show up in the HTML report
+for (const role of Object.keys(ROLES) as Role[]) {
+    setup(\`authenticate as \${role}\`, async () => {
+        await saveRoleAuth(role);
+    });
+}
+` : `/**
+ * Global setup function to request an API token once per role before all tests start.
+ */
+async function globalSetup() {
+    console.log('\\n🔐 Running Playwright Global Setup: Requesting API tokens...');
+
+    for (const role of Object.keys(ROLES) as Role[]) {
+        try {
+            await saveRoleAuth(role);
+        } catch (error) {
+            console.error(\`❌ Global Setup Failed: Could not obtain an API token for '\${role}'.\`);
+            console.error(\`Check if \${TOKEN_URL} is available and if the credentials for '\${ROLES[role]?.username}' are correct.\`);
+            throw error;
+        }
+    }
+}
+
+export default globalSetup;
+`}`;
+}
+
+/**
+ * Renders the check that decides whether auth.setup.ts can reuse a role's saved session.
+ * Storage states are checked for expired cookies, header tokens for an expired JWT "exp" claim;
+ * the optional probe request then confirms that the server still accepts the session.
+ * @param {Object} config The configuration object.
+ * @returns {string}
+ */
+function getSessionReuseCheck(config) {
+    const auth = config.auth;
+    const usesTokenHeader = auth.strategy === 'api-token' && auth.tokenStorage === 'header';
+    const expiryCheck = usesTokenHeader
+        ? `    const { token } = JSON.parse(fs.readFileSync(tokenPath(role), 'utf8'));
+    // Opaque tokens have no expiry we can read; JWTs carry it in their "exp" claim
+    const parts = String(token).split('.');
+    let expiresAt: unknown;
+    try {
+        expiresAt = parts.length === 3 ? JSON.parse(Buffer.from(parts[1], 'base64url').toString('utf8')).exp : undefined;
+    } catch {
+        expiresAt = undefined;
+    }
+    if (typeof expiresAt === 'number' && expiresAt <= Date.now() / 1000) {
+        return 'the saved token has expired';
+    }`
+        : `    const state = JSON.parse(fs.readFileSync(storageStatePath(role), 'utf8'));
+    // Session cookies (expires: -1) have no expiry of their own
+    const expired = state.cookies.find((cookie: { name: string; expires: number }) => cookie.expires !== -1 && cookie.expires <= Date.now() / 1000);
+    if (expired) {
+        return \`cookie '\${expired.name}' has expired\`;
+    }`;
+    const probeContext = usesTokenHeader
+        ? `{ extraHTTPHeaders: { Authorization: \`Bearer \${token}\` } }`
+        : `{ storageState: storageStatePath(role) }`;
+
+    return `
+// --- Session Reuse ---
+// Set FORCE_LOGIN=1 to log in again even if the saved session still looks valid
+const FORCE_LOGIN = process.env.FORCE_LOGIN === '1';
+// An authenticated URL that must answer 2xx (without redirecting) for a saved session to be reused. Empty to skip.
+const PROBE_URL = ${auth.probeUrl ? toProfileUrl(auth.probeUrl, config) : "''"};
+
+/**
+ * Returns why a role has to log in again, or null if its saved session can be reused.
+ */
+async function getLoginReason(role: Role): Promise<string | null> {
+    if (FORCE_LOGIN) {
+        return 'FORCE_LOGIN=1 is set';
+    }
+    if (!fs.existsSync(${usesTokenHeader ? 'tokenPath' : 'storageStatePath'}(role))) {
+        return 'there is no saved session';
+    }
+
+${expiryCheck}
+
+    if (PROBE_URL) {
+        const context = await request.newContext(${probeContext});
+        try {
+            const response = await context.get(PROBE_URL, { maxRedirects: 0 });
+            if (!response.ok()) {
+                return \`the probe \${PROBE_URL} answered HTTP \${response.status()}\`;
+            }
+        } finally {
+            await context.dispose();
+        }
+    }
+    return null;
+}
+
+/**
+ * Reports which path the setup takes for a role and returns whether it has to log in.
+ */
+async function needsLogin(role: Role): Promise<boolean> {
+    const reason = await getLoginReason(role);
+    if (reason) {
+        console.log(\`🔑 Logging in as '\${role}': \${reason}.\`);
+        return true;
+    }
+    console.log(\`♻️ Reusing the saved session of '\${role}'\${PROBE_URL ? ' (probe passed)' : ' (not expired)'}.\`);
+    return false;
+}
+`;
+}
+
+/**
+ * Renders fixtures/roles.ts: the credentials of every role and where its session is saved.
+ * Shared by the config, the global setup and the role fixture in baseTest.ts.
+ * @param {Object} auth The auth settings from getAuthSettings().
+ * @returns {string}
+ */
+function getRolesModule(auth) {
+    const usesStorageState = auth.strategy === 'form' || (auth.strategy === 'api-token' && auth.tokenStorage === 'cookie');
+    const usesTokenHeader = auth.strategy === 'api-token' && auth.tokenStorage === 'header';
+    const roleEntries = auth.roles.map(role => role.credentials
+        ? `  ${toTsString(role.name)}: { username: requireEnv('${getRoleEnvPrefix(role.name)}_USERNAME'), password: requireEnv('${getRoleEnvPrefix(role.name)}_PASSWORD') },`
+        : `  ${toTsString(role.name)}: null,`);
+
+    return `
+${usesTokenHeader ? `import * as fs from 'fs';\n` : ''}${auth.strategy === 'basic' ? '' : `import * as path from 'path';\n`}import { requireEnv } from '../utils/env';
+
+export type Role = ${auth.roles.map(role => toTsString(role.name)).join(' | ')};
+export type RoleCredentials = { username: string; password: string };
+
+// The identity of every test that does not pick one with test.use({ role })
+export const DEFAULT_ROLE: Role = ${toTsString(auth.roles[0].name)};
+
+// Credentials come from the selected environment profile (.env.<TEST_ENV>).
+// A role without credentials (null) browses anonymously.
+export const ROLES: Record<Role, RoleCredentials | null> = {
+${roleEntries.join('\n')}
+};
+${auth.strategy === 'basic' ? '' : `
+// Sessions are saved next to the test directory, in the framework root
+const AUTH_DIR = path.join(__dirname, '..', '..', '${AUTH_DIR}');
+`}${usesStorageState ? `
+// The session state auth.setup.ts saves for a role
+export const storageStatePath = (role: Role): string => path.join(AUTH_DIR, \`\${role}.json\`);
+` : ''}${usesTokenHeader ? `
+// The API token auth.setup.ts saves for a role
+export const tokenPath = (role: Role): string => path.join(AUTH_DIR, \`\${role}.token.json\`);
+
+// The Authorization header for a role, or none if it has no saved token
+export function authHeaders(role: Role): Record<string, string> {
+  if (!fs.existsSync(tokenPath(role))) return {};
+  const { token } = JSON.parse(fs.readFileSync(tokenPath(role), 'utf8'));
+  return { Authorization: \`Bearer \${token}\` };
+}
+` : ''}`;
+}
+
+/**
+ * Renders the imports of the role fixture in baseTest.ts.
+ * @param {Object} auth The auth settings from getAuthSettings().
+ * @returns {string}
+ */
+function getRoleFixtureImports(auth) {
+    const imports = ['DEFAULT_ROLE', 'Role'];
+    if (auth.strategy === 'basic') imports.push('ROLES');
+    if (auth.strategy === 'form' || auth.tokenStorage === 'cookie') imports.push('storageStatePath');
+    if (auth.strategy === 'api-token' && auth.tokenStorage === 'header') imports.push('authHeaders');
+    return `import { ${imports.join(', ')} } from './roles';\n`;
+}
+
+/**
+ * Renders the role option of baseTest.ts and the built-in fixture it switches.
+ * @param {Object} auth The auth settings from getAuthSettings().
+ * @returns {string}
+ */
+function getRoleFixtures(auth) {
+    let identity;
+    if (auth.strategy === 'basic') {
+        identity = `  // Every role answers the basic auth challenge with its own credentials
+  httpCredentials: async ({ role }, use) => {
+    await use(ROLES[role] ?? undefined);
+  },`;
+    } else if (auth.strategy === 'api-token' && auth.tokenStorage === 'header') {
+        identity = `  // Every role sends its own token, saved by auth.setup.ts
+  extraHTTPHeaders: async ({ role }, use) => {
+    await use(authHeaders(role));
+  },`;
+    } else {
+        identity = `  // Every role loads its own session, saved by auth.setup.ts
+  storageState: async ({ role }, use) => {
+    await use(storageStatePath(role));
+  },`;
+    }
+
+    return `role: [DEFAULT_ROLE, { option: true }],
+
+${identity}
+`;
+}
+
+/**
+ * Describes how the generated framework authenticates, for the README.
+ * @param {Object} config The configuration object.
+ * @returns {string} A Markdown section.
+ */
+function getAuthReadmeSection(config) {
+    const auth = config.auth;
+
+    if (auth.strategy === 'none') {
+        return `## 🔐 Authentication
+
+No authentication is configured: tests start with a fresh, anonymous browser context.
+`;
+    }
+
+    if (auth.strategy === 'basic') {
+        return `## 🔐 Authentication via HTTP Basic Auth
+
+\`playwright.config.ts\` sets \`use.httpCredentials\`, so every page and API request answers the server's basic auth challenge as the default role.
+
+${getRolesReadmeSection(auth)}`;
+    }
+
+    if (auth.strategy === 'api-token') {
+        const stored = auth.tokenStorage === 'cookie'
+            ? `the session cookies it sets to \`${getStorageStateFile('<role>')}\``
+            : `the token from \`${auth.tokenField}\` to \`${getTokenFile('<role>')}\``;
+        const loaded = auth.tokenStorage === 'cookie'
+            ? `**automatically load** the default role's cookies as their storage state.`
+            : `send the default role's token as an \`Authorization: Bearer\` header with every request (\`extraHTTPHeaders\`).`;
+        return `## 🔐 Authentication via API Token (${auth.mode === 'setup-project' ? 'Setup Project' : 'Global Setup'})
+
+1.  **Request & Save:** ${getSetupRunDescription(auth)}, POSTs each role's credentials to \`${auth.tokenUrl}\` and saves ${stored}.
+2.  **Load State:** All browser projects in \`playwright.config.ts\` ${loaded}
+3.  **Session Reuse:** ${getSessionReuseDescription(auth)}
+
+${getRolesReadmeSection(auth)}`;
+    }
+
+    return `## 🔐 Authentication via ${auth.mode === 'setup-project' ? 'a Setup Project' : 'Global Setup'} (Best Practice)
+
+This framework uses Playwright's **${auth.mode === 'setup-project' ? 'Project Dependencies' : 'Global Setup'}** to manage the authenticated state, which is the fastest way to run authenticated tests.
+
+1.  **Login & Save:** ${getSetupRunDescription(auth)} to log in every role at \`${auth.loginUrl}\` and save its session data to \`${getStorageStateFile('<role>')}\`.
+2.  **Load State:** All browser projects in \`playwright.config.ts\` are configured to **automatically load** the default role's saved state, skipping the login UI step for every test and worker.
+3.  **Session Reuse:** ${getSessionReuseDescription(auth)}
+4.  **Test Example:** See \`auth_storage.spec.ts\` for an example of a test that starts directly on a protected page.
+
+${getRolesReadmeSection(auth)}`;
+}
+
+/**
+ * Describes when auth.setup.ts runs, for the README.
+ * @param {Object} auth The auth settings from getAuthSettings().
+ * @returns {string}
+ */
+function getSetupRunDescription(auth) {
+    if (auth.mode === 'setup-project') {
+        return `The \`e2e.tests/auth.setup.ts\` tests run **once** as the \`setup\` project that every browser project depends on (so the login appears in the HTML report, with traces and retries; the \`teardown\` project removes the saved sessions on CI)`;
+    }
+    return `The \`e2e.tests/auth.setup.ts\` file runs **once** as the global setup before all tests`;
+}
+
+/**
+ * Describes when auth.setup.ts reuses a saved session, for the README.
+ * @param {Object} auth The auth settings from getAuthSettings().
+ * @returns {string}
+ */
+function getSessionReuseDescription(auth) {
+    const validity = auth.strategy === 'api-token' && auth.tokenStorage === 'header'
+        ? 'its token is not an expired JWT'
+        : 'none of its cookies has expired';
+    const probe = auth.probeUrl ? ` and \`${auth.probeUrl}\` still answers 2xx with it` : '';
+    return `A role's saved session is reused as long as ${validity}${probe}, so most runs skip the login. Run with \`FORCE_LOGIN=1\` to log in again anyway.`;
+}
+
+/**
+ * Describes the configured roles and how a spec picks one, for the README.
+ * @param {Object} auth The auth settings from getAuthSettings().
+ * @returns {string} A Markdown section.
+ */
+function getRolesReadmeSection(auth) {
+    const otherRole = auth.roles.length > 1 ? auth.roles[1].name : auth.roles[0].name;
+    return `### 👥 Roles
+
+Roles: ${auth.roles.map(role => `\`${role.name}\`${role.credentials ? '' : ' (anonymous)'}`).join(', ')}. Tests run as **${auth.roles[0].name}** unless they pick another role. Roles are defined in \`e2e.tests/fixtures/roles.ts\`; their credentials come from the environment profile (\`<ROLE>_USERNAME\` / \`<ROLE>_PASSWORD\`).
+
+\`\`\`ts
+import { test, expect } from '../fixtures/baseTest';
+
+test.use({ role: '${otherRole}' });
+\`\`\`
+`;
+}
+
+
+// --- 2. HELPER FUNCTIONS (UTILITIES) ---
+
+/**
+ * @param {string} dirPath
+ * @param {Object} ctx The run context. Its transaction records the top-most directory this call creates, for rollback.
+ */
+function createDir(dirPath, ctx) {
+    trackIfMissing(ctx.tx, findTopMissingDir(dirPath));
+    try {
+        fs.mkdirSync(dirPath, { recursive: true });
+        ctx.logger.log(`✅ Directory created: ${dirPath}`);
+    } catch (error) {
+        if (error.code !== 'EEXIST') {
+            throw error;
+        }
+    }
+}
+
+/**
+ * @param {string} filePath
+ * @param {string} content
+ * @param {Object} ctx The run context. Its transaction records new files, and the original content of overwritten ones.
+ */
+function writeFile(filePath, content, ctx) {
+    const tx = ctx.tx;
+    if (tx && fs.existsSync(filePath)) {
+        // Only the first overwrite in a run holds the original content
+        if (!tx.created.includes(filePath) && !(filePath in tx.backups)) {
+            tx.backups[filePath] = fs.readFileSync(filePath, 'utf8');
+        }
+    } else {
+        trackIfMissing(tx, filePath);
+    }
+
+    try {
+        fs.writeFileSync(filePath, content.trim() + '\n', 'utf8');
+        ctx.logger.log(`✅ File created: ${filePath}`);
+    } catch (error) {
+        ctx.logger.error(`❌ Error writing file ${filePath}: ${error.message}`);
+        throw new Error(`Failed to write critical file: ${filePath}`);
+    }
+}
+
+/**
+ * Starts tracking what a run creates, optionally continuing the transaction of a resumed run.
+ * @param {Object} [state] A state file saved by a failed run.
+ * @returns {{ created: string[], backups: Object<string, string> }}
+ */
+function createTransaction(state) {
+    return {
+        created: state ? [...state.created] : [],
+        backups: state ? { ...state.backups } : {},
+    };
+}
+
+/**
+ * Records a path that is about to be created (by this script or a spawned command), if it does not exist yet.
+ */
+function trackIfMissing(tx, targetPath) {
+    if (tx && targetPath && !fs.existsSync(targetPath) && !tx.created.includes(targetPath)) {
+        tx.created.push(targetPath);
+    }
+}
+
+/**
+ * @returns {string|null} The outermost ancestor of dirPath (or dirPath itself) that does not exist yet.
+ */
+function findTopMissingDir(dirPath) {
+    let missing = null;
+    let current = path.resolve(dirPath);
+    while (!fs.existsSync(current)) {
+        missing = current;
+        const parent = path.dirname(current);
+        if (parent === current) break;
+        current = parent;
+    }
+    return missing;
+}
+
+/**
+ * Undoes a transaction: removes everything it created (newest first) and restores overwritten files.
+ */
+function rollbackTransaction(tx) {
+    for (const createdPath of [...tx.created].reverse()) {
+        fs.rmSync(createdPath, { recursive: true, force: true });
+    }
+    for (const [filePath, content] of Object.entries(tx.backups)) {
+        fs.writeFileSync(filePath, content, 'utf8');
+    }
+}
+
+function promptUser(query, options = {}) {
+    const rl = readline.createInterface({
+        input: process.stdin,
+        output: process.stdout,
+    });
+    return new Promise(resolve => rl.question(query, ans => {
+        rl.close();
+
+        // Ensure ans is safely converted to a string before trimming
+        const result = String(ans || '').trim();
+
+        if (result === '') {
+            return resolve(options.default);
+        }
+
+        if (options.type === 'boolean') {
+            // Resolve as true if the answer starts with 'y' or 'Y', otherwise false
+            return resolve(result.toLowerCase().startsWith('y'));
+        }
+
+        if (options.type === 'number') {
+            const num = parseInt(result, 10);
+            return resolve(isNaN(num) ? options.default : num);
+        }
+
+        if (options.type === 'multiselect') {
+            const finalSelection = normalizeBrowserSelection(result, options.valid || []);
+            return resolve(finalSelection.length > 0 ? finalSelection : options.default);
+        }
+
+        if (options.type === 'choice') {
+            return resolve(matchChoice(result, options.choices) || options.default);
+        }
+
+        resolve(result);
+    }));
+}
+
+/**
+ * Maps user-friendly browser names (e.g. "chrome", "safari") to the canonical project names.
+ * @param {string|string[]} selection Comma-separated string or array of browser names.
+ * @param {string[]} validOptions The canonical project names that are allowed.
+ * @returns {string[]} The de-duplicated canonical names. Unrecognized entries are dropped.
+ */
+function normalizeBrowserSelection(selection, validOptions) {
+    const entries = Array.isArray(selection) ? selection : String(selection).split(',');
+
+    // Map common inputs to canonical names
+    const canonicalSelection = entries.map(s => String(s).trim().toLowerCase()).filter(s => s).map(s => {
+        if ((s.includes('chrome') || s.includes('chromium')) && !s.includes('mobile')) return 'chromium';
+        if (s.includes('firefox')) return 'firefox';
+        if (s.includes('webkit') || s.includes('safari')) return 'webkit';
+        if (s.includes('mobile')) return 'mobile-chrome';
+        return null;
+    }).filter(s => s && validOptions.includes(s));
+
+    // Ensure no duplicates
+    return [...new Set(canonicalSelection)];
+}
+
+/**
+ * Matches an answer against a list of choices, by full name or by its first letter (e.g. "m" for "merge").
+ * @returns {string|undefined} The matched choice.
+ */
+function matchChoice(answer, choices) {
+    const normalized = String(answer).trim().toLowerCase();
+    return choices.find(choice => choice === normalized) || choices.find(choice => normalized.length === 1 && choice.startsWith(normalized));
+}
+
+// Embeds a user-provided value in generated TypeScript as a single-quoted string literal
+const toTsString = (value) => `'${String(value).replace(/\\/g, '\\\\').replace(/'/g, "\\'").replace(/\n/g, '\\n')}'`;
+
+const toCamelCase = (flagName) => flagName.replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+const toKebabCase = (key) => key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+const toEnvName = (key) => ENV_PREFIX + toKebabCase(key).replace(/-/g, '_').toUpperCase();
+
+/**
+ * Parses command-line flags in the form `--name value`, `--name=value` or `--flag` (boolean flags only).
+ * @param {string[]} argv The raw arguments, without the node executable and script path.
+ * @returns {Object} The flags keyed by their camelCase name.
+ */
+function parseCliArgs(argv) {
+    const flags = {};
+
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (!arg.startsWith('--')) {
+            throw new Error(`Unexpected argument "${arg}". Run with --help to see the supported flags.`);
+        }
+
+        const [name, inlineValue] = arg.slice(2).split(/=(.*)/s, 2);
+        const flag = CLI_FLAGS[name];
+        if (!flag) {
+            throw new Error(`Unknown flag "--${name}". Run with --help to see the supported flags.`);
+        }
+
+        let value;
+        if (flag.boolean) {
+            value = inlineValue === undefined ? true : inlineValue;
+        } else if (inlineValue !== undefined) {
+            value = inlineValue;
+        } else if (i + 1 < argv.length && !argv[i + 1].startsWith('--')) {
+            value = argv[++i];
+        } else {
+            throw new Error(`Missing value for "--${name}".`);
+        }
+
+        const key = toCamelCase(name);
+        // Repeatable flags collect every occurrence, in order
+        flags[key] = flag.multiple ? [...(flags[key] || []), value] : value;
+    }
+
+    return flags;
+}
+
+/**
+ * Loads the bootstrap config file. An explicitly requested file must exist; the default one is optional.
+ * @param {string} [configPath] The path passed via --config.
+ * @returns {{ values: Object, filePath: string|null }}
+ */
+function loadBootstrapConfig(configPath) {
+    const filePath = path.resolve(configPath || BOOTSTRAP_CONFIG_FILE);
+
+    if (!fs.existsSync(filePath)) {
+        if (configPath) {
+            throw new Error(`Bootstrap config file not found: ${filePath}`);
+        }
+        return { values: {}, filePath: null };
+    }
+
+    let values;
+    try {
+        values = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not parse bootstrap config file ${filePath}: ${error.message}`);
+    }
+
+    const validKeys = Object.keys(CLI_FLAGS).filter(name => !CLI_FLAGS[name].cliOnly).map(toCamelCase);
+    const unknownKeys = Object.keys(values).filter(key => !validKeys.includes(key));
+    if (unknownKeys.length > 0) {
+        throw new Error(`Unknown key(s) in ${filePath}: ${unknownKeys.join(', ')}. Supported keys: ${validKeys.join(', ')}.`);
+    }
+
+    return { values, filePath };
+}
+
+/**
+ * Collects every non-interactive source of settings for a run.
+ * @param {Object} flags The settings passed to bootstrap(), i.e. the parsed command-line flags.
+ * @param {Object} env The environment variables.
+ * @returns {Object} The setting sources, consumed by resolveSetting().
+ */
+function loadSettingSources(flags, env) {
+    const validKeys = Object.keys(CLI_FLAGS).filter(name => name !== 'help').map(toCamelCase);
+    const unknownKeys = Object.keys(flags).filter(key => !validKeys.includes(key));
+    if (unknownKeys.length > 0) {
+        throw new Error(`Unknown option(s): ${unknownKeys.join(', ')}. Supported options: ${validKeys.join(', ')}.`);
+    }
+
+    const config = loadBootstrapConfig(flags.config);
+    const sources = { flags, file: config.values, filePath: config.filePath, env };
+
+    sources.assumeDefaults = resolveFlag(sources, 'yes');
+
+    return sources;
+}
+
+/**
+ * Resolves an on/off switch such as --yes or --dry-run. Switches are never prompted for.
+ * @returns {boolean}
+ */
+function resolveFlag(sources, key) {
+    const explicit = findExplicitSetting(sources, key);
+    return explicit ? coerceSettingValue(explicit.value, explicit.label, { type: 'boolean' }) : false;
+}
+
+/**
+ * Looks up a setting in the flags, then the config file, then the environment.
+ * @returns {{ value: *, label: string }|undefined} The raw value and a label describing where it came from.
+ */
+function findExplicitSetting(sources, key) {
+    if (sources.flags[key] !== undefined) {
+        return { value: sources.flags[key], label: `--${toKebabCase(key)}` };
+    }
+    if (sources.file[key] !== undefined) {
+        return { value: sources.file[key], label: `"${key}" in ${sources.filePath}` };
+    }
+    const envName = toEnvName(key);
+    if (sources.env[envName] !== undefined && sources.env[envName] !== '') {
+        return { value: sources.env[envName], label: envName };
+    }
+    return undefined;
+}
+
+/**
+ * Converts a raw flag, config file or env value to the type the matching prompt would produce.
+ * Unlike an interactive answer, an invalid value is never silently replaced by the default.
+ */
+function coerceSettingValue(value, label, options = {}) {
+    if (options.type === 'boolean') {
+        if (typeof value === 'boolean') return value;
+        if (/^(1|true|y|yes)$/i.test(String(value))) return true;
+        if (/^(0|false|n|no)$/i.test(String(value))) return false;
+        throw new Error(`Invalid value "${value}" for ${label}: expected true or false.`);
+    }
+
+    if (options.type === 'number') {
+        // Ratios and thresholds are fractions; every other number is a count
+        const num = typeof value === 'number' ? value : options.decimal ? parseFloat(String(value)) : parseInt(String(value), 10);
+        if (isNaN(num)) {
+            throw new Error(`Invalid value "${value}" for ${label}: expected a number.`);
+        }
+        return num;
+    }
+
+    if (options.type === 'multiselect') {
+        const entries = Array.isArray(value) ? value : String(value).split(',').filter(s => s.trim());
+        const invalidEntries = entries.filter(entry => normalizeBrowserSelection([entry], options.valid || []).length === 0);
+        if (entries.length === 0 || invalidEntries.length > 0) {
+            throw new Error(`Invalid value "${entries.join(',')}" for ${label}: expected a comma-separated list of ${(options.valid || []).join(', ')}.`);
+        }
+        return normalizeBrowserSelection(entries, options.valid || []);
+    }
+
+    if (options.type === 'choice') {
+        const choice = matchChoice(value, options.choices);
+        if (!choice) {
+            throw new Error(`Invalid value "${value}" for ${label}: expected one of ${options.choices.join(', ')}.`);
+        }
+        return choice;
+    }
+
+    return String(value);
+}
+
+/**
+ * Resolves a single setting in the order: CLI flag, config file, environment variable, interactive prompt.
+ * With --yes, the default is used instead of prompting. A setting without a default is required:
+ * when stdin is not a TTY it cannot be prompted for, so the run fails with a clear message.
+ * @param {Object} ctx The run context, holding the setting sources and the prompt.
+ * @param {string} key The camelCase setting name.
+ * @param {string} query The interactive prompt text.
+ * @param {Object} [options] The promptUser() options. `invertPrompt` flips a boolean answer,
+ *   for settings like skipTests that are asked as a positive question.
+ * @returns {Promise<*>} The resolved value.
+ */
+async function resolveSetting(ctx, key, query, options = {}) {
+    const explicit = findExplicitSetting(ctx.sources, key);
+    if (explicit) {
+        return coerceSettingValue(explicit.value, explicit.label, options);
+    }
+
+    if (ctx.sources.assumeDefaults && options.default !== undefined) {
+        return options.default;
+    }
+
+    if (!ctx.interactive) {
+        throw new Error(
+            `Missing required setting "${key}" and stdin is not a TTY, so it cannot be prompted for. ` +
+            `Pass --${toKebabCase(key)}, set "${key}" in ${BOOTSTRAP_CONFIG_FILE} or ${toEnvName(key)}, ` +
+            `or run with --yes to accept the defaults.`
+        );
+    }
+
+    if (options.invertPrompt) {
+        return !(await ctx.prompt(query, { ...options, default: !options.default }));
+    }
+    return ctx.prompt(query, options);
+}
+
+/**
+ * Creates the context shared by every step of a run.
+ * @param {Object} options
+ * @param {Object} options.sources The setting sources from loadSettingSources().
+ * @param {{ log: Function, error: Function }} [options.logger] Receives all output. Defaults to the console.
+ * @param {Function} [options.exec] Runs a shell command synchronously with (command, { cwd, stdio }) and throws
+ *   an error with a numeric `status` when it exits non-zero, like child_process.execSync (the default).
+ * @param {Function} [options.prompt] Asks a question with (query, options) and resolves the answer. Defaults to promptUser().
+ * @param {boolean} [options.interactive] Whether prompting is possible. Defaults to whether stdin is a TTY.
+ * @returns {Object} The run context.
+ */
+function createContext({ sources, logger = console, exec = execSync, prompt = promptUser, interactive = Boolean(process.stdin.isTTY) }) {
+    return {
+        sources,
+        logger,
+        exec,
+        prompt,
+        interactive,
+        // Set by runSetupSteps() while the setup steps run
+        tx: null,
+        result: { config: null, dryRun: false, files: [], commands: [], completedSteps: [], tests: { ran: false, exitCode: null } },
+    };
+}
+
+/**
+ * Runs a shell command through the context's exec and records it (and its exit code) in the run result.
+ * @returns {string|Buffer|undefined} The captured output, when stdio is piped.
+ */
+function runCommand(ctx, command, options) {
+    const record = { command, cwd: options.cwd, exitCode: null };
+    ctx.result.commands.push(record);
+    try {
+        const output = ctx.exec(command, options);
+        record.exitCode = 0;
+        return output;
+    } catch (error) {
+        record.exitCode = error.status !== undefined ? error.status : null;
+        throw error;
+    }
+}
+
+function printUsage() {
+    console.log(`\nUsage: node bootstrap-playwright.js [flags]\n`);
+    console.log(`Settings are resolved in the order: flag, ${BOOTSTRAP_CONFIG_FILE}, ${ENV_PREFIX}* environment variable, interactive prompt.\n`);
+    for (const [name, flag] of Object.entries(CLI_FLAGS)) {
+        const usage = flag.boolean ? `--${name}` : `--${name} <value>${flag.multiple ? '...' : ''}`;
+        console.log(`  ${usage.padEnd(22)} ${flag.description}`);
+    }
+}
+
+
+// --- 3. MODULAR SETUP FUNCTIONS (LOGIC) ---
+
+/**
+ * Resolves the framework settings (flags, config file, env or prompts).
+ * This has no side effects: directories are only created later by createStructure().
+ * @param {Object} ctx The run context.
+ * @returns {Promise<Object>} The configuration object.
+ */
+async function getFrameworkSettings(ctx) {
+    const defaultTestDirName = 'e2e.tests';
+    const defaultRootName = 'tested-app';
+
+    // --- 1. Path Configuration ---
+    const parentDir = path.join(process.cwd(), '..');
+    const defaultFrameworkRoot = path.join(parentDir, defaultRootName);
+    const defaultTestDir = path.join(defaultFrameworkRoot, defaultTestDirName);
+
+    const inputPath = await resolveSetting(ctx, 'dir', `Enter the full path to the E2E framework folder (Default: ${defaultTestDir}): `, { default: defaultTestDir });
+
+    // CRITICAL FIX: Explicitly cast the resolved value to a string to prevent "Cannot read properties of undefined (reading 'trim')"
+    const safeInputPath = String(inputPath || '');
+
+    // Relative paths (e.g. from --dir) are resolved against the directory the script was started in
+    const testDir = path.resolve(safeInputPath.trim() || defaultTestDir);
+
+    const testDirName = path.basename(testDir);
+    const frameworkRoot = path.dirname(testDir);
+
+    ctx.logger.log(`\nFramework Root Directory (for package.json): ${frameworkRoot}`);
+    ctx.logger.log(`Framework Test Directory (for playwright.config.ts): ${testDir}\n`);
+
+    // --- 1b. Existing Project Detection ---
+    // A package.json we did not generate ourselves means the root belongs to a real application
+    const hasForeignPackageJson = fs.existsSync(path.join(frameworkRoot, 'package.json'))
+        && !loadManifest(frameworkRoot).files['package.json'];
+    const integrate = hasForeignPackageJson
+        ? await resolveSetting(ctx, 'integrate', `An existing project was detected in ${frameworkRoot}. Integrate into it instead of overwriting its files (Y/n)? `, { type: 'boolean', default: true })
+        : resolveFlag(ctx.sources, 'integrate');
+
+    // --- 1c. Package Manager (detected, never prompted for) ---
+    const packageManager = resolvePackageManager(ctx, frameworkRoot);
+    if (packageManager.workspace && !packageManager.workspace.member) {
+        ctx.logger.log(`⚠️ ${frameworkRoot} is inside the workspace at ${packageManager.workspace.root} but matches none of its package globs, so it is installed on its own. Add it to the workspace for a shared install.`);
+    }
+
+    // --- 1d. Playwright Version ---
+    const playwrightVersion = String(await resolveSetting(ctx, 'playwrightVersion', `Playwright version to install and pin (Default: ${DEFAULT_PLAYWRIGHT_VERSION}): `, { default: DEFAULT_PLAYWRIGHT_VERSION })).trim().replace(/^v/, '');
+    const omittedFeatures = checkPlaywrightVersion(playwrightVersion);
+    omittedFeatures.forEach(feature => ctx.logger.log(`ℹ️ Left out for Playwright ${playwrightVersion}: ${feature.feature} (needs ${feature.since}).`));
+
+    // --- 2. Base URL ---
+    const samples = await resolveSetting(ctx, 'samples', `Run the example specs against the local demo app (offline) or the public practice sites (${SAMPLE_TARGETS.join(', ')}) (Default: local): `, { type: 'choice', choices: SAMPLE_TARGETS, default: 'local' });
+    const defaultBaseUrl = samples === 'local' ? DEMO_APP_URL : PUBLIC_BASE_URL;
+    const baseURL = await resolveSetting(ctx, 'baseUrl', `Enter the default Base URL for your application (Default: ${defaultBaseUrl}): `, { default: defaultBaseUrl });
+    ctx.logger.log(`\nUsing Base URL: ${baseURL}`);
+    const apiUrl = await resolveSetting(ctx, 'apiUrl', `Enter the API Base URL (Default: ${baseURL}): `, { default: baseURL });
+
+    // --- 3. Concurrency and Retries (Robustness/Performance) ---
+    // ENHANCEMENT: Defaulted to 4 for better parallelism.
+    const maxWorkers = await resolveSetting(ctx, 'workers', `Max Parallel Workers (e.g., 4, or 0 for OS default 'undefined') (Default: 4): `, { type: 'number', default: 4 });
+    const retries = await resolveSetting(ctx, 'retries', `Default Test Retries on failure (e.g., 2): `, { type: 'number', default: 2 });
+
+    // --- 4. Browser Selection (Scope) ---
+    const browserOptions = Object.keys(BROWSER_PROJECT_DEVICES);
+    const defaultBrowsers = ['chromium', 'firefox'];
+    const browserPrompt = `\nSelect browsers to include (Comma-separated: ${browserOptions.join(', ')} | Default: ${defaultBrowsers.join(', ')}): `;
+    const selectedBrowsers = await resolveSetting(ctx, 'browsers', browserPrompt, { type: 'multiselect', valid: browserOptions, default: defaultBrowsers });
+
+    // --- 4b. Installation (never prompted for) ---
+    const install = resolveInstallSettings(ctx, selectedBrowsers, packageManager);
+
+    // --- 5. Authentication ---
+    const auth = await getAuthSettings(ctx, apiUrl, samples);
+
+    // --- 5b. Environment Profiles ---
+    const profileSetting = await resolveSetting(ctx, 'envProfiles', `Environment profiles, selected with TEST_ENV (comma-separated, the first one is the default) (Default: ${DEFAULT_ENV_PROFILES.join(', ')}): `, { default: DEFAULT_ENV_PROFILES.join(',') });
+    const envProfiles = parseNameList(profileSetting, 'environment profiles');
+
+    // --- 5c. Accessibility Checks ---
+    const a11yTags = await resolveSetting(ctx, 'a11yTags', `Accessibility (axe-core) tags to check (Comma-separated | Default: ${DEFAULT_A11Y_TAGS.join(', ')}): `, { default: DEFAULT_A11Y_TAGS.join(',') });
+    // Rule exclusions are rare, so they are never prompted for
+    const a11yDisableRules = findExplicitSetting(ctx.sources, 'a11yDisableRules');
+    const a11y = {
+        tags: String(a11yTags).split(',').map(tag => tag.trim()).filter(tag => tag),
+        disableRules: a11yDisableRules ? String(a11yDisableRules.value).split(',').map(rule => rule.trim()).filter(rule => rule) : [],
+    };
+
+    // --- 5d. Reporters ---
+    const reporters = parseReporters(await resolveSetting(ctx, 'reporters', `\nReporters for local runs (Comma-separated: ${REPORTERS.join(', ')} | Default: ${DEFAULT_REPORTERS.join(', ')}): `, { default: DEFAULT_REPORTERS.join(',') }), 'reporters');
+    const ciReporters = parseReporters(await resolveSetting(ctx, 'ciReporters', `Reporters when CI is set (Comma-separated | Default: ${DEFAULT_CI_REPORTERS.join(', ')}): `, { default: DEFAULT_CI_REPORTERS.join(',') }), 'ciReporters');
+
+    // --- 5e. Visual Comparison ---
+    const visual = await getVisualSettings(ctx);
+
+    // --- 5f. OpenAPI Client (optional, never prompted for) ---
+    const openapiSetting = findExplicitSetting(ctx.sources, 'openapi');
+    const openapi = openapiSetting ? resolveOpenApiSpec(String(openapiSetting.value), frameworkRoot) : null;
+
+    // --- 5g. CI Pipeline ---
+    const ci = await getCiSettings(ctx, ciReporters);
+
+    // --- 5h. Docker ---
+    const docker = await resolveSetting(ctx, 'docker', `\nGenerate a Dockerfile, docker-compose.yml and devcontainer on the Playwright image, for reproducible runs and visual baselines (y/N)? `, { type: 'boolean', default: false });
+
+    // --- 6. Template Packs (optional, never prompted for) ---
+    const templateSetting = findExplicitSetting(ctx.sources, 'template');
+    const templateSpecs = templateSetting
+        ? [].concat(templateSetting.value).flatMap(value => String(value).split(',')).map(spec => spec.trim()).filter(spec => spec)
+        : [];
+    const templates = templateSpecs.map(resolveTemplatePack);
+
+    ctx.logger.log(`\nConfiguration Summary:`);
+    ctx.logger.log(`- Package Manager: ${packageManager.name} (from ${packageManager.source})${packageManager.workspace && packageManager.workspace.member ? `, workspace package of ${packageManager.workspace.root}` : ''}`);
+    ctx.logger.log(`- Playwright: ${playwrightVersion}${install.offline ? ', offline install' : ''} (browsers to install: ${install.browsers.join(', ') || 'none'})`);
+    ctx.logger.log(`- Max Workers: ${maxWorkers}`);
+    ctx.logger.log(`- Test Retries: ${retries}`);
+    ctx.logger.log(`- Browsers: ${selectedBrowsers.join(', ')}`);
+    ctx.logger.log(`- Reporters: ${reporters.join(', ')} (CI: ${ciReporters.join(', ')})`);
+    if (ci.provider !== 'none') {
+        ctx.logger.log(`- CI Pipeline: ${ci.provider}, ${ci.shards} shard(s)`);
+    }
+    if (docker) {
+        ctx.logger.log(`- Docker: ${getDockerImage({ playwrightVersion })}`);
+    }
+    ctx.logger.log(`- Visual Comparison: max diff ratio ${visual.maxDiffPixelRatio}, threshold ${visual.threshold}, ${visual.masks.length} default mask(s)${visual.stableRendering ? ', stable rendering' : ''}`);
+    ctx.logger.log(`- Example Specs: ${samples === 'local' ? `local demo app (${DEMO_APP_URL}, started by Playwright)` : 'public practice sites'}`);
+    ctx.logger.log(`- Environment Profiles: ${envProfiles.join(', ')} (default: ${envProfiles[0]})`);
+    ctx.logger.log(`- Authentication: ${auth.strategy}${auth.strategy === 'api-token' ? ` (${auth.tokenStorage})` : ''}${auth.mode ? `, as ${auth.mode}` : ''}`);
+    if (auth.roles) {
+        ctx.logger.log(`- Roles: ${auth.roles.map(role => role.name).join(', ')} (default: ${auth.roles[0].name})`);
+    }
+    if (openapi) {
+        ctx.logger.log(`- OpenAPI Client: generated from ${openapi}`);
+    }
+    if (integrate) {
+        ctx.logger.log(`- Mode: Integrate into the existing project`);
+    }
+    if (templates.length > 0) {
+        ctx.logger.log(`- Template Packs: ${templates.join(', ')}`);
+    }
+
+    const config = {
+        testDirName,
+        frameworkRoot,
+        integrate,
+        packageManager,
+        playwrightVersion,
+        install,
+        samples,
+        baseURL,
+        apiUrl,
+        envProfiles,
+        // Set to 'undefined' if the user left it blank or entered 0, otherwise use the number
+        maxWorkers: (maxWorkers === 0 || maxWorkers === 'undefined') ? 'undefined' : String(maxWorkers),
+        retries,
+        browserProjects: selectedBrowsers,
+        auth,
+        a11y,
+        reporters,
+        ciReporters,
+        ci,
+        docker,
+        visual,
+        openapi,
+        templates
+    };
+    if (integrate) {
+        // The scripts of the existing package.json decide which generated scripts are renamed when merging
+        const template = renderFiles(testDirName, config).find(file => file.relativePath === 'package.json');
+        const templateScripts = template ? JSON.parse(template.content).scripts || {} : {};
+        config.scriptRenames = getScriptRenames(readJsonSafely(path.join(frameworkRoot, 'package.json')).scripts || {}, templateScripts);
+    }
+    return config;
+}
+
+/**
+ * Splits and validates a comma-separated reporter list.
+ * @param {string|string[]} value
+ * @param {string} key The setting name, for the error message.
+ * @returns {string[]}
+ */
+function parseReporters(value, key) {
+    const names = [...new Set([].concat(value).flatMap(entry => String(entry).split(',')).map(name => name.trim().toLowerCase()).filter(name => name))];
+    const invalidNames = names.filter(name => !REPORTERS.includes(name));
+    if (names.length === 0 || invalidNames.length > 0) {
+        throw new Error(`Invalid value "${names.join(',')}" for ${key}: expected a comma-separated list of ${REPORTERS.join(', ')}.`);
+    }
+    return names;
+}
+
+/**
+ * Resolves the CI provider to generate a pipeline for and how many shards it runs.
+ * The pipelines merge blob reports, so a blob reporter is added to the CI reporters when missing.
+ * @param {Object} ctx The run context.
+ * @param {string[]} ciReporters The CI reporters, completed in place.
+ * @returns {Promise<{ provider: string, shards: number }>}
+ */
+async function getCiSettings(ctx, ciReporters) {
+    const provider = await resolveSetting(ctx, 'ciProvider', `\nGenerate a CI pipeline (${CI_PROVIDERS.join(', ')}) (Default: none): `, { type: 'choice', choices: CI_PROVIDERS, default: 'none' });
+    if (provider === 'none') {
+        return { provider, shards: 1 };
+    }
+
+    const shards = await resolveSetting(ctx, 'ciShards', `CI: Number of parallel shards (Default: ${DEFAULT_CI_SHARDS}): `, { type: 'number', default: DEFAULT_CI_SHARDS });
+    if (!Number.isInteger(shards) || shards < 1) {
+        throw new Error(`Invalid value "${shards}" for ciShards: expected a whole number of at least 1.`);
+    }
+    if (!ciReporters.includes('blob')) {
+        ciReporters.push('blob');
+        ctx.logger.log(`   (Added the blob reporter to the CI reporters: the ${provider} pipeline merges the shard reports.)`);
+    }
+    return { provider, shards };
+}
+
+/**
+ * Resolves the screenshot comparison defaults and where baselines are stored.
+ * @param {Object} ctx The run context.
+ * @returns {Promise<{ maxDiffPixelRatio: number, threshold: number, masks: string[], stableRendering: boolean, pathTemplate: string }>}
+ */
+async function getVisualSettings(ctx) {
+    const maxDiffPixelRatio = await resolveSetting(ctx, 'visualMaxDiffPixelRatio', `\nVisual: Share of pixels (0-1) a screenshot may differ from its baseline (Default: ${DEFAULT_VISUAL_MAX_DIFF_PIXEL_RATIO}): `, { type: 'number', decimal: true, default: DEFAULT_VISUAL_MAX_DIFF_PIXEL_RATIO });
+    const threshold = await resolveSetting(ctx, 'visualThreshold', `Visual: Per-pixel color difference (0-1) still counted as equal (Default: ${DEFAULT_VISUAL_THRESHOLD}): `, { type: 'number', decimal: true, default: DEFAULT_VISUAL_THRESHOLD });
+    for (const [name, value] of [['visualMaxDiffPixelRatio', maxDiffPixelRatio], ['visualThreshold', threshold]]) {
+        if (value < 0 || value > 1) {
+            throw new Error(`Invalid value "${value}" for ${name}: expected a number between 0 and 1.`);
+        }
+    }
+
+    const masks = await resolveSetting(ctx, 'visualMasks', `Visual: Selectors of dynamic regions to mask in every screenshot (Comma-separated | Default: none): `, { default: '' });
+    const stableRendering = await resolveSetting(ctx, 'visualStableRendering', `Visual: Disable animations, hide the caret and inject a stylesheet before screenshots (Y/n)? `, { type: 'boolean', default: true });
+    const pathTemplate = await resolveSetting(ctx, 'snapshotPathTemplate', `Visual: Baseline path template, relative to the test folder (Default: ${DEFAULT_SNAPSHOT_PATH_TEMPLATE}): `, { default: DEFAULT_SNAPSHOT_PATH_TEMPLATE });
+
+    return {
+        maxDiffPixelRatio,
+        threshold,
+        masks: [].concat(masks).flatMap(value => String(value).split(',')).map(mask => mask.trim()).filter(mask => mask),
+        stableRendering,
+        pathTemplate: String(pathTemplate).trim() || DEFAULT_SNAPSHOT_PATH_TEMPLATE,
+    };
+}
+
+/**
+ * The folder holding the baselines, for the instructions: the literal start of the snapshot path template.
+ * @param {Object} config The configuration object.
+ * @returns {string} The path relative to the framework root.
+ */
+function getSnapshotDir(config) {
+    const template = config.visual.pathTemplate.replace(/^\{(testDir|snapshotDir)\}/, 'tests');
+    const literal = template.split('{')[0];
+    return path.join(config.testDirName, literal.slice(0, literal.lastIndexOf('/') + 1));
+}
+
+/**
+ * Resolves the authentication strategy and only the settings that strategy uses.
+ * @param {Object} ctx The run context.
+ * @param {string} apiUrl The resolved API URL, used for the default token endpoint.
+ * @param {string} samples Where the example specs run, which decides the default login form and accounts.
+ * @returns {Promise<Object>} The auth settings, with `strategy` and the strategy-specific fields.
+ */
+async function getAuthSettings(ctx, apiUrl, samples) {
+    const strategy = await resolveSetting(ctx, 'authStrategy', `\nAuthentication strategy (${AUTH_STRATEGIES.join(', ')}) (Default: form): `, { type: 'choice', choices: AUTH_STRATEGIES, default: 'form' });
+    const auth = { strategy };
+
+    if (strategy === 'none') {
+        return auth;
+    }
+
+    // Basic auth needs no login step; the other strategies log in before the tests
+    if (strategy !== 'basic') {
+        auth.mode = await resolveSetting(ctx, 'authMode', `Run the login as a global setup or as a 'setup' project shown in the report (${AUTH_MODES.join(', ')}) (Default: global-setup): `, { type: 'choice', choices: AUTH_MODES, default: 'global-setup' });
+    }
+
+    if (auth.mode) {
+        auth.probeUrl = await resolveSetting(ctx, 'authProbeUrl', `Authenticated URL to probe before reusing a saved session (Default: none, only expiry is checked): `, { default: '' });
+    }
+
+    const roleNames = await resolveSetting(ctx, 'roles', `Roles to log in as (comma-separated, the first one is the default) (Default: ${DEFAULT_ROLES.join(', ')}): `, { default: DEFAULT_ROLES.join(',') });
+
+    if (strategy === 'form') {
+        const defaults = getDefaultFormAuth(samples);
+        auth.loginUrl = await resolveSetting(ctx, 'authLoginUrl', `Login page URL (Default: ${defaults.loginUrl}): `, { default: defaults.loginUrl });
+        auth.usernameSelector = await resolveSetting(ctx, 'authUsernameSelector', `Username field selector (Default: ${defaults.usernameSelector}): `, { default: defaults.usernameSelector });
+        auth.passwordSelector = await resolveSetting(ctx, 'authPasswordSelector', `Password field selector (Default: ${defaults.passwordSelector}): `, { default: defaults.passwordSelector });
+        auth.submitSelector = await resolveSetting(ctx, 'authSubmitSelector', `Submit button selector (Default: ${defaults.submitSelector}): `, { default: defaults.submitSelector });
+        auth.successUrl = await resolveSetting(ctx, 'authSuccessUrl', `URL after a successful login (Default: ${defaults.successUrl}): `, { default: defaults.successUrl });
+        auth.successSelector = await resolveSetting(ctx, 'authSuccessSelector', `Selector visible after a successful login (Default: ${defaults.successSelector}): `, { default: defaults.successSelector });
+    }
+
+    if (strategy === 'api-token') {
+        const defaultTokenUrl = new URL('api/login', apiUrl).href;
+        auth.tokenUrl = await resolveSetting(ctx, 'authTokenUrl', `Token endpoint URL (Default: ${defaultTokenUrl}): `, { default: defaultTokenUrl });
+        auth.tokenStorage = await resolveSetting(ctx, 'authTokenStorage', `Send the token as a cookie set by the endpoint or as a Bearer header (cookie, header) (Default: header): `, { type: 'choice', choices: ['cookie', 'header'], default: 'header' });
+        if (auth.tokenStorage === 'header') {
+            auth.tokenField = await resolveSetting(ctx, 'authTokenField', `Token field in the JSON response (Default: token): `, { default: 'token' });
+        }
+    }
+
+    // The demo accounts work with every strategy of the local demo app, but only with the public site's login form
+    const defaultCredentials = strategy === 'form' || samples === 'local' ? DEFAULT_FORM_AUTH : null;
+    auth.roles = await resolveRoles(ctx, parseNameList(roleNames, 'roles'), defaultCredentials);
+
+    return auth;
+}
+
+/**
+ * Checks the OpenAPI document exists and returns its path for the api:generate script.
+ * @param {string} specPath The path as given, relative to the directory the script was started in.
+ * @param {string} frameworkRoot The directory npm scripts run in.
+ * @returns {string} The forward-slash path relative to the framework root.
+ */
+function resolveOpenApiSpec(specPath, frameworkRoot) {
+    const absolutePath = path.resolve(specPath);
+    if (!fs.existsSync(absolutePath) || !fs.statSync(absolutePath).isFile()) {
+        throw new Error(`OpenAPI document "${specPath}" not found. Pass the path to a JSON or YAML file with --openapi.`);
+    }
+    if (!/\.(json|ya?ml)$/i.test(absolutePath)) {
+        throw new Error(`OpenAPI document "${specPath}" must be a .json, .yaml or .yml file.`);
+    }
+    return path.relative(frameworkRoot, absolutePath).split(path.sep).join('/');
+}
+
+/**
+ * The default login form: the public practice site's, or the local demo app's copy of it.
+ * @param {string} samples Where the example specs run.
+ * @returns {Object}
+ */
+function getDefaultFormAuth(samples) {
+    if (samples !== 'local') {
+        return DEFAULT_FORM_AUTH;
+    }
+    return {
+        ...DEFAULT_FORM_AUTH,
+        loginUrl: new URL('login', DEMO_APP_URL).href,
+        successUrl: new URL('logged-in-successfully/', DEMO_APP_URL).href,
+    };
+}
+
+/**
+ * Splits and validates comma-separated names (roles, environment profiles). They become TypeScript string
+ * literals, environment variable prefixes and file names.
+ * @param {string|string[]} value
+ * @param {string} what What the names are, for error messages.
+ * @returns {string[]}
+ */
+function parseNameList(value, what) {
+    const names = [].concat(value).flatMap(entry => String(entry).split(',')).map(name => name.trim()).filter(name => name);
+    const invalidNames = names.filter(name => !/^[a-z][a-z0-9_-]*$/i.test(name));
+    if (names.length === 0 || invalidNames.length > 0) {
+        throw new Error(`Invalid ${what} "${names.join(',')}": expected comma-separated names of letters, digits, '-' and '_'.`);
+    }
+    const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+    if (duplicates.length > 0) {
+        throw new Error(`Duplicate ${what}: ${duplicates.join(', ')}.`);
+    }
+    return names;
+}
+
+/**
+ * Parses the --role-credentials setting: "<role>=<username>:<password>" entries (or an object keyed by role
+ * in the config file). An entry without credentials ("<role>=") makes the role anonymous.
+ * @param {Object} ctx The run context.
+ * @param {string[]} roleNames
+ * @returns {Object} The credentials (or null) per role that has an entry.
+ */
+function parseRoleCredentials(ctx, roleNames) {
+    const setting = findExplicitSetting(ctx.sources, 'roleCredentials');
+    if (!setting) {
+        return {};
+    }
+
+    let entries;
+    if (setting.value && typeof setting.value === 'object' && !Array.isArray(setting.value)) {
+        entries = Object.entries(setting.value).map(([role, credentials]) => [role, credentials && { username: String(credentials.username), password: String(credentials.password) }]);
+    } else {
+        // Repeated flags arrive as an array; a single config or env value may be comma-separated
+        const values = Array.isArray(setting.value) ? setting.value : String(setting.value).split(',');
+        entries = values.map(value => {
+            const match = /^([^=]+)=(?:([^:]*):(.*))?$/s.exec(String(value).trim());
+            if (!match) {
+                throw new Error(`Invalid value "${value}" for ${setting.label}: expected <role>=<username>:<password>, or <role>= for an anonymous role.`);
+            }
+            return [match[1], match[2] ? { username: match[2], password: match[3] } : null];
+        });
+    }
+
+    const unknownRoles = entries.map(([role]) => role).filter(role => !roleNames.includes(role));
+    if (unknownRoles.length > 0) {
+        throw new Error(`${setting.label} names unknown role(s) ${unknownRoles.join(', ')}. Configured roles: ${roleNames.join(', ')}.`);
+    }
+    return Object.fromEntries(entries);
+}
+
+/**
+ * Resolves the credentials of every role. The default (first) role also honors --auth-username/--auth-password
+ * and their defaults; the other roles are prompted for unless --role-credentials covers them.
+ * @param {Object} ctx The run context.
+ * @param {string[]} roleNames
+ * @param {{ username: string, password: string }|null} defaultCredentials The demo account, if it fits the target.
+ * @returns {Promise<{ name: string, credentials: { username: string, password: string }|null }[]>}
+ */
+async function resolveRoles(ctx, roleNames, defaultCredentials) {
+    const provided = parseRoleCredentials(ctx, roleNames);
+    const roles = [];
+
+    for (const [index, name] of roleNames.entries()) {
+        if (name in provided) {
+            roles.push({ name, credentials: provided[name] });
+            continue;
+        }
+        if (name === GUEST_ROLE) {
+            roles.push({ name, credentials: null });
+            continue;
+        }
+
+        if (index === 0) {
+            const defaultUsername = defaultCredentials ? defaultCredentials.username : undefined;
+            const defaultPassword = defaultCredentials ? defaultCredentials.password : undefined;
+            const username = await resolveSetting(ctx, 'authUsername', `Username for '${name}'${defaultUsername ? ` (Default: ${defaultUsername})` : ''}: `, { default: defaultUsername });
+            const password = await resolveSetting(ctx, 'authPassword', `Password for '${name}'${defaultPassword ? ' (Default: the demo password)' : ''}: `, { default: defaultPassword });
+            roles.push({ name, credentials: { username: String(username || ''), password: String(password || '') } });
+            continue;
+        }
+
+        if (!ctx.interactive) {
+            throw new Error(
+                `Missing credentials for role "${name}" and stdin is not a TTY, so they cannot be prompted for. ` +
+                `Pass --role-credentials ${name}=<username>:<password> (or ${name}= for an anonymous role).`
+            );
+        }
+        const username = await ctx.prompt(`Username for '${name}' (leave empty to browse anonymously): `);
+        const password = username ? await ctx.prompt(`Password for '${name}': `) : '';
+        roles.push({ name, credentials: username ? { username: String(username), password: String(password || '') } : null });
+    }
+
+    return roles;
+}
+
+/**
+ * Lists every directory createStructure() creates, in creation order.
+ * @param {Object} config The configuration object.
+ * @returns {string[]} Absolute directory paths.
+ */
+function getStructureDirs(config) {
+    const frameworkPath = path.join(config.frameworkRoot, config.testDirName);
+    const dirs = [
+        config.frameworkRoot,
+        frameworkPath,
+        // NEW DIRECTORY: For authentication state (none without an auth strategy)
+        ...(config.auth.strategy !== 'none' ? [path.join(config.frameworkRoot, AUTH_DIR)] : []),
+        path.join(frameworkPath, 'fixtures'),
+        path.join(frameworkPath, 'pages'),
+        path.join(frameworkPath, 'tests'),
+        path.join(frameworkPath, 'utils'),
+    ];
+
+    // Template packs may add files in folders of their own
+    for (const file of renderFiles(config.testDirName, config)) {
+        const dirPath = path.dirname(path.join(config.frameworkRoot, file.relativePath));
+        if (!dirs.includes(dirPath)) {
+            dirs.push(dirPath);
+        }
+    }
+    return dirs;
+}
+
+/**
+ * Creates the framework root and its internal directory structure.
+ * @param {Object} config The configuration object.
+ * @param {Object} ctx The run context.
+ */
+function createStructure(config, ctx) {
+    getStructureDirs(config).forEach(dirPath => createDir(dirPath, ctx));
+}
+
+/**
+ * Resolves a --template value to an absolute path: a directory (or file) on disk, or an installed npm package.
+ * Package names are looked up as `playwright-bootstrap-template-<name>` first, then as given.
+ * @param {string} spec The pack name or path.
+ * @returns {string}
+ */
+function resolveTemplatePack(spec) {
+    const candidatePath = path.resolve(spec);
+    if (fs.existsSync(candidatePath)) {
+        return candidatePath;
+    }
+
+    for (const packageName of [`playwright-bootstrap-template-${spec}`, spec]) {
+        try {
+            return path.dirname(require.resolve(`${packageName}/package.json`, { paths: [process.cwd()] }));
+        } catch (error) {
+            // Try the next candidate
+        }
+    }
+    throw new Error(`Template pack "${spec}" not found. Pass a directory path, or install "playwright-bootstrap-template-${spec}" or "${spec}".`);
+}
+
+/**
+ * Loads template packs in order. A pack is a directory or package whose module exports any of:
+ * - files:        { [path]: string | (testDirName, config) => string | null } entries to add or replace. null removes one.
+ * - remove:       paths to remove from the file map.
+ * - placeholders: (config) => ({ '{__NAME__}': value }) substituted in every generated file.
+ * - extend:       (fileContents, config) => fileContents for anything the declarative fields cannot express.
+ * Files under the pack's `files/` folder are added verbatim. Paths use forward slashes and the `e2e.tests/` prefix
+ * for the test directory, like getFileContents().
+ * @param {string[]} packPaths Absolute pack paths from resolveTemplatePack().
+ * @returns {Object[]} The pack definitions, each with its `packPath` and verbatim `staticFiles`.
+ */
+function loadTemplatePacks(packPaths) {
+    return packPaths.map(packPath => {
+        let definition = {};
+        try {
+            definition = require(packPath);
+        } catch (error) {
+            // A pack may consist of a files/ folder only
+            if (error.code !== 'MODULE_NOT_FOUND' || !fs.existsSync(path.join(packPath, 'files'))) {
+                throw new Error(`Could not load template pack ${packPath}: ${error.message}`);
+            }
+        }
+
+        for (const field of ['placeholders', 'extend']) {
+            if (definition[field] !== undefined && typeof definition[field] !== 'function') {
+                throw new Error(`Template pack ${packPath}: "${field}" must be a function.`);
+            }
+        }
+        if (definition.remove !== undefined && !Array.isArray(definition.remove)) {
+            throw new Error(`Template pack ${packPath}: "remove" must be an array of paths.`);
+        }
+
+        const staticFiles = {};
+        const filesDir = path.join(packPath, 'files');
+        const collect = (dir) => {
+            for (const dirent of fs.readdirSync(dir, { withFileTypes: true })) {
+                const fullPath = path.join(dir, dirent.name);
+                if (dirent.isDirectory()) {
+                    collect(fullPath);
+                } else {
+                    staticFiles[path.relative(filesDir, fullPath)] = fs.readFileSync(fullPath, 'utf8');
+                }
+            }
+        };
+        if (fs.existsSync(filesDir) && fs.statSync(filesDir).isDirectory()) {
+            collect(filesDir);
+        }
+
+        return { ...definition, packPath, staticFiles };
+    });
+}
+
+/**
+ * Applies template packs to the built-in file map, in order, so later packs override earlier ones.
+ * @returns {Object} A new file map.
+ */
+function applyTemplatePacks(fileContents, packs, config) {
+    let result = { ...fileContents };
+
+    for (const pack of packs) {
+        const entries = { ...pack.staticFiles, ...(pack.files || {}) };
+        for (const [key, content] of Object.entries(entries)) {
+            const normalizedKey = path.normalize(key);
+            if (content === null) {
+                delete result[normalizedKey];
+            } else {
+                result[normalizedKey] = content;
+            }
+        }
+        (pack.remove || []).forEach(key => delete result[path.normalize(key)]);
+
+        if (pack.extend) {
+            result = pack.extend(result, config) || result;
+        }
+    }
+    return result;
+}
+
+/**
+ * Collects the placeholders substituted in every generated file. Packs can add their own or override these.
+ */
+function getPlaceholders(config, packs) {
+    const placeholders = {
+        '{__RETRIES__}': config.retries,
+        '{__WORKERS__}': config.maxWorkers,
+        '{__BROWSERS__}': config.browserProjects.join(', '),
+        '{__BASE_URL__}': config.baseURL,
+    };
+    for (const pack of packs) {
+        if (pack.placeholders) {
+            Object.assign(placeholders, pack.placeholders(config, { ...placeholders }));
+        }
+    }
+    return placeholders;
+}
+
+/**
+ * Renders every framework file without writing anything.
+ * @param {string} testDirName
+ * @param {Object} config The configuration object containing dynamic values.
+ * @returns {{ relativePath: string, content: string }[]} Paths are relative to the framework root.
+ */
+function renderFiles(testDirName, config) {
+    const packs = loadTemplatePacks(config.templates || []);
+    const fileContents = applyTemplatePacks(getFileContents(), packs, config);
+    const placeholders = getPlaceholders(config, packs);
+    const files = [];
+
+    for (const filePathKey in fileContents) {
+        if ((config.integrate ? STANDALONE_ONLY_FILES : INTEGRATE_ONLY_FILES).includes(filePathKey)) {
+            continue;
+        }
+
+        let contentFunc = fileContents[filePathKey];
+        let content;
+        let finalPath;
+
+        if (filePathKey.includes('e2e.tests')) {
+            finalPath = filePathKey.replace('e2e.tests', testDirName);
+        } else if (config.integrate && filePathKey === 'README.md') {
+            // Never replace the application's own README
+            finalPath = path.join(testDirName, filePathKey);
+        } else {
+            finalPath = filePathKey;
+        }
+
+        if (typeof contentFunc === 'function') {
+            // Every template function receives the same arguments, whether it is built in or comes from a pack
+            content = contentFunc(testDirName, config);
+        } else {
+            // This handles non-function content (static files)
+            content = contentFunc;
+        }
+
+        // A template returns null when the file does not apply to this configuration (e.g. no auth setup)
+        if (content === null) {
+            continue;
+        }
+
+        // Placeholder substitution (e.g. the README configuration summary) applies to every file
+        for (const [placeholder, value] of Object.entries(placeholders)) {
+            content = content.split(placeholder).join(String(value));
+        }
+
+        // Normalize exactly like writeFile() so previews and diffs match what lands on disk
+        const file = { relativePath: finalPath, content: content.trim() + '\n', local: USER_OWNED_FILES.includes(filePathKey) };
+        if (config.integrate && MERGED_PROJECT_FILES.includes(filePathKey)) {
+            file.merge = filePathKey === 'package.json' ? mergePackageJson : mergeGitignore;
+        }
+        files.push(file);
+    }
+
+    // The profile files hold credentials: like the USER_OWNED_FILES, they are written once and never recorded
+    for (const profile of config.envProfiles) {
+        files.push({ relativePath: path.join(testDirName, `.env.${profile}`), content: getEnvProfileFile(config, profile), local: true });
+    }
+
+    return files;
+}
+
+/**
+ * Merges the generated scripts and devDependencies into an existing package.json.
+ * Existing scripts and dependency versions always win. A generated script whose name is already taken
+ * is added as "e2e:<name>".
+ * @param {string} existingText The project's package.json.
+ * @param {string} templateText The rendered package.json template.
+ * @returns {{ text: string, notes: string[] }}
+ */
+function mergePackageJson(existingText, templateText) {
+    let existing;
+    try {
+        existing = JSON.parse(existingText);
+    } catch (error) {
+        throw new Error(`Could not parse the existing package.json: ${error.message}`);
+    }
+    const template = JSON.parse(templateText);
+    const notes = [];
+
+    const scripts = { ...(existing.scripts || {}) };
+    const renames = getScriptRenames(scripts, template.scripts);
+    for (const name of Object.keys(renames)) {
+        notes.push(`Script "${name}" already exists in package.json; the Playwright script was added as "${renames[name]}".`);
+    }
+    for (const [name, command] of Object.entries(template.scripts)) {
+        scripts[renames[name] || name] = command;
+    }
+
+    const devDependencies = { ...(existing.devDependencies || {}) };
+    for (const [name, version] of Object.entries(template.devDependencies)) {
+        const current = devDependencies[name] || (existing.dependencies || {})[name];
+        if (current) {
+            if (current !== version) notes.push(`Kept the existing ${name}@${current} (the template uses ${version}).`);
+            continue;
+        }
+        devDependencies[name] = version;
+    }
+
+    const indent = (existingText.match(/^([ \t]+)"/m) || [null, '  '])[1];
+    return { text: JSON.stringify({ ...existing, scripts, devDependencies }, null, indent) + '\n', notes };
+}
+
+/**
+ * Names the generated scripts whose name the existing package.json already uses for another command.
+ * They are added as "e2e:<name>"; pmRun() uses the same names, so commands and instructions run the added script.
+ * @param {Object<string, string>} existingScripts
+ * @param {Object<string, string>} templateScripts
+ * @returns {Object<string, string>} The new name of each renamed script.
+ */
+function getScriptRenames(existingScripts, templateScripts) {
+    const renames = {};
+    for (const name of Object.keys(templateScripts)) {
+        if (existingScripts[name] !== undefined && existingScripts[name] !== templateScripts[name]) {
+            renames[name] = `e2e:${name}`;
+        }
+    }
+    return renames;
+}
+
+/**
+ * Appends the generated .gitignore lines that the existing .gitignore does not already contain.
+ * @returns {{ text: string, notes: string[] }}
+ */
+function mergeGitignore(existingText, templateText) {
+    // "node_modules", "/node_modules" and "/node_modules/" all count as the same entry
+    const normalize = (line) => line.trim().replace(/^\//, '').replace(/\/$/, '');
+    const existingLines = new Set(existingText.split(/\r?\n/).map(normalize));
+    const missingLines = templateText.split('\n').map(line => line.trim()).filter(line => line && !existingLines.has(normalize(line)));
+    if (missingLines.length === 0) {
+        return { text: existingText, notes: [] };
+    }
+
+    const separator = existingText === '' || existingText.endsWith('\n') ? '' : '\n';
+    return {
+        text: `${existingText}${separator}\n# Playwright E2E\n${missingLines.join('\n')}\n`,
+        notes: [`Appended ${missingLines.length} line(s) to .gitignore.`],
+    };
+}
+
+const hashContent = (content) => crypto.createHash('sha256').update(content).digest('hex');
+// Manifest keys always use forward slashes, so a manifest written on Windows still matches on Linux/macOS
+const toManifestKey = (relativePath) => relativePath.split(path.sep).join('/');
+
+/**
+ * Loads the manifest of previously generated files, or an empty one on the first run.
+ * @param {string} frameworkRoot
+ * @returns {{ version: number, files: Object<string, { hash: string, content: string }> }}
+ */
+function loadManifest(frameworkRoot) {
+    const manifestPath = path.join(frameworkRoot, MANIFEST_FILE);
+    if (!fs.existsSync(manifestPath)) {
+        return { version: 1, files: {} };
+    }
+    try {
+        return JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not parse ${manifestPath}: ${error.message}. Delete it to treat every existing file as user-modified.`);
+    }
+}
+
+/**
+ * Decides what happens to each rendered file, based on the disk and the manifest of the previous run.
+ * - create:    the file does not exist yet.
+ * - unchanged: the file already matches the new template.
+ * - upgrade:   the file still matches the template it was generated from, so it is safe to replace.
+ * - conflict:  the file was modified by the user (or predates the manifest).
+ * - integrate: the file belongs to the existing project and the template was merged into it.
+ * @returns {Object[]} The rendered files, each with an `action`, its absolute `filePath` and the `existing` content.
+ */
+function planFileWrites(config, files, manifest) {
+    return files.map(file => {
+        const filePath = path.join(config.frameworkRoot, file.relativePath);
+        if (!fs.existsSync(filePath)) {
+            return { ...file, filePath, action: 'create' };
+        }
+
+        const existing = fs.readFileSync(filePath, 'utf8');
+        if (file.local) {
+            return { ...file, filePath, existing, action: 'unchanged' };
+        }
+        if (file.merge) {
+            const merged = file.merge(existing, file.content);
+            return { ...file, filePath, existing, content: merged.text, notes: merged.notes, action: merged.text === existing ? 'unchanged' : 'integrate' };
+        }
+
+        const previous = manifest.files[toManifestKey(file.relativePath)];
+        let action = 'conflict';
+        if (existing === file.content) {
+            action = 'unchanged';
+        } else if (previous && previous.hash === hashContent(existing)) {
+            action = 'upgrade';
+        }
+        return { ...file, filePath, existing, action };
+    });
+}
+
+/**
+ * Picks how to handle a user-modified file: the --on-conflict setting applies to every file,
+ * otherwise the user is asked per file. Without a TTY (or with --yes) a .new file is written.
+ */
+async function chooseConflictStrategy(ctx, entry) {
+    const explicit = findExplicitSetting(ctx.sources, 'onConflict');
+    if (explicit) {
+        return coerceSettingValue(explicit.value, explicit.label, { type: 'choice', choices: CONFLICT_STRATEGIES });
+    }
+    if (ctx.sources.assumeDefaults || !ctx.interactive) {
+        return 'new';
+    }
+    return ctx.prompt(
+        `\n⚠️ ${entry.relativePath} was modified since it was generated. [s]kip, [o]verwrite, write .[n]ew file or [m]erge? (Default: new): `,
+        { type: 'choice', choices: CONFLICT_STRATEGIES, default: 'new' }
+    );
+}
+
+/**
+ * Writes all framework files into the framework root without clobbering user edits, then records the manifest.
+ * @param {string} testDirName
+ * @param {Object} config The configuration object containing dynamic values.
+ * @param {Object} ctx The run context, used to resolve conflict handling and to record the written files.
+ */
+async function writeFiles(testDirName, config, ctx) {
+    const manifest = loadManifest(config.frameworkRoot);
+    const plan = planFileWrites(config, renderFiles(testDirName, config), manifest);
+
+    // The manifest remembers the template each file derives from: its hash detects user edits, its content is the merge base.
+    // Files merged into the existing project stay owned by the project, so they are never recorded.
+    // Local files (the .env profiles) are never recorded, so their credentials stay out of the committed manifest.
+    const record = (entry) => {
+        if (entry.merge || entry.local) return;
+        manifest.files[toManifestKey(entry.relativePath)] = { hash: hashContent(entry.content), content: entry.content };
+    };
+
+    for (const entry of plan) {
+        // What happened to the file, as reported in the run result
+        let outcome = entry.action;
+
+        if (entry.action === 'unchanged') {
+            record(entry);
+        } else if (entry.action === 'create' || entry.action === 'upgrade') {
+            writeFile(entry.filePath, entry.content, ctx);
+            record(entry);
+        } else if (entry.action === 'integrate') {
+            writeFile(entry.filePath, entry.content, ctx);
+            (entry.notes || []).forEach(note => ctx.logger.log(`ℹ️ ${note}`));
+        } else {
+            const strategy = await chooseConflictStrategy(ctx, entry);
+            const previous = manifest.files[toManifestKey(entry.relativePath)];
+            outcome = strategy;
+
+            if (strategy === 'skip') {
+                ctx.logger.log(`⏭️ Skipped modified file: ${entry.filePath}`);
+            } else if (strategy === 'overwrite') {
+                writeFile(entry.filePath, entry.content, ctx);
+                record(entry);
+            } else if (strategy === 'merge' && previous) {
+                const merged = mergeThreeWay(previous.content, entry.existing, entry.content);
+                if (merged.conflicts === 0) {
+                    writeFile(entry.filePath, merged.text, ctx);
+                    record(entry);
+                } else {
+                    outcome = 'merge-conflict';
+                    writeFile(`${entry.filePath}.new`, merged.text, ctx);
+                    ctx.logger.log(`⚠️ ${merged.conflicts} merge conflict(s) in ${entry.relativePath}. Resolve the markers in ${entry.filePath}.new and replace the original.`);
+                }
+            } else {
+                if (strategy === 'merge') {
+                    ctx.logger.log(`⚠️ Cannot merge ${entry.relativePath}: it is not in the manifest, so its original template is unknown.`);
+                }
+                outcome = 'new';
+                writeFile(`${entry.filePath}.new`, entry.content, ctx);
+                ctx.logger.log(`📝 Review ${entry.filePath}.new and merge it into your modified file.`);
+            }
+        }
+
+        ctx.result.files.push({ path: entry.filePath, action: outcome });
+    }
+
+    createDir(path.join(config.frameworkRoot, BOOTSTRAP_STATE_DIR), ctx);
+    writeFile(path.join(config.frameworkRoot, MANIFEST_FILE), JSON.stringify(manifest, null, 2), ctx);
+}
+
+/**
+ * The dependency and browser install commands. Inside a monorepo workspace the dependencies are installed
+ * from the workspace root, so the framework shares the workspace's lockfile and hoisted packages.
+ * @param {Object} config The configuration object.
+ * @returns {{ command: string, cwd: string }[]}
+ */
+function getInstallCommands(config) {
+    const { name, workspace } = config.packageManager;
+    const pm = PACKAGE_MANAGERS[name];
+    let install = { command: pm.install, cwd: config.frameworkRoot };
+    if (workspace && workspace.member) {
+        // npm installs a single workspace with --workspace; the others install the whole workspace from its root
+        const command = name === 'npm' ? `${pm.install} --workspace=${workspace.relativePath}` : pm.install;
+        install = { command, cwd: workspace.root };
+    } else if (workspace && name === 'pnpm') {
+        // Not a workspace package: keep pnpm from installing the surrounding workspace instead
+        install = { command: `${pm.install} --ignore-workspace`, cwd: config.frameworkRoot };
+    }
+
+    const commands = [];
+    const { offline, packagesDir } = config.install;
+    if (offline) {
+        install.command += ` --offline${getOfflineSourceOption(config)}`;
+        // A folder of tarballs is added to the npm cache first, so the offline install finds every package in it
+        if (name === 'npm' && packagesDir && !isNpmCacheDir(packagesDir)) {
+            const tarballs = fs.readdirSync(packagesDir).filter(file => file.endsWith('.tgz')).map(file => JSON.stringify(path.join(packagesDir, file)));
+            commands.push({ command: `npm cache add ${tarballs.join(' ')}`, cwd: install.cwd });
+        }
+    }
+    commands.push(install);
+
+    // Offline, the browsers must already be installed (see checkInstalledBrowsers())
+    if (!offline && config.install.browsers.length > 0) {
+        commands.push({ command: pmExec(config, `playwright install ${config.install.browsers.join(' ')}`), cwd: config.frameworkRoot });
+    }
+    return commands;
+}
+
+/**
+ * @param {Object} config The configuration object.
+ * @returns {string} The option that points the offline install at --offline-packages, if set.
+ */
+function getOfflineSourceOption(config) {
+    const packagesDir = config.install.packagesDir;
+    if (!packagesDir) return '';
+    if (config.packageManager.name === 'pnpm') return ` --store-dir=${JSON.stringify(packagesDir)}`;
+    return isNpmCacheDir(packagesDir) ? ` --cache=${JSON.stringify(packagesDir)}` : '';
+}
+
+/**
+ * @param {string} dir
+ * @returns {boolean} Whether the directory is an npm cache (rather than a folder of tarballs).
+ */
+function isNpmCacheDir(dir) {
+    return fs.existsSync(path.join(dir, '_cacache'));
+}
+
+/**
+ * The directory Playwright installs browsers to: PLAYWRIGHT_BROWSERS_PATH, or the per-user default cache.
+ * @param {string} frameworkRoot
+ * @param {Object} env The environment variables.
+ * @returns {string}
+ */
+function getBrowsersPath(frameworkRoot, env) {
+    if (env.PLAYWRIGHT_BROWSERS_PATH === '0') {
+        return path.join(frameworkRoot, 'node_modules', 'playwright-core', '.local-browsers');
+    }
+    if (env.PLAYWRIGHT_BROWSERS_PATH) {
+        return path.resolve(env.PLAYWRIGHT_BROWSERS_PATH);
+    }
+    if (process.platform === 'win32') {
+        return path.join(env.LOCALAPPDATA || path.join(os.homedir(), 'AppData', 'Local'), 'ms-playwright');
+    }
+    if (process.platform === 'darwin') {
+        return path.join(os.homedir(), 'Library', 'Caches', 'ms-playwright');
+    }
+    return path.join(env.XDG_CACHE_HOME || path.join(os.homedir(), '.cache'), 'ms-playwright');
+}
+
+/**
+ * Offline, the browsers cannot be downloaded: checks that the installed playwright-core finds the selected ones
+ * (with their headless shell and ffmpeg) in the browsers path, and explains how to provide them otherwise.
+ * @param {Object} config The configuration object.
+ * @param {Object} ctx The run context.
+ */
+function checkInstalledBrowsers(config, ctx) {
+    let browsersJson;
+    try {
+        const corePath = require.resolve('playwright-core/package.json', { paths: [config.frameworkRoot] });
+        browsersJson = JSON.parse(fs.readFileSync(path.join(path.dirname(corePath), 'browsers.json'), 'utf8'));
+    } catch (error) {
+        throw new Error(`Could not read the browser revisions of the installed Playwright: ${error.message}`);
+    }
+
+    const browsersPath = getBrowsersPath(config.frameworkRoot, ctx.sources.env);
+    const needed = config.install.browsers.flatMap(browser => browser === 'chromium' ? ['chromium', 'chromium-headless-shell', 'ffmpeg'] : [browser]);
+    const missing = browsersJson.browsers
+        .filter(browser => needed.includes(browser.name))
+        .filter(browser => {
+            // The directory is named after the browser and its revision, e.g. chromium_headless_shell-1194
+            const revisions = [browser.revision, ...Object.values(browser.revisionOverrides || {})];
+            return !revisions.some(revision => fs.existsSync(path.join(browsersPath, `${browser.name.replace(/-/g, '_')}-${revision}`)));
+        })
+        .map(browser => `${browser.name} (revision ${browser.revision})`);
+
+    if (missing.length > 0) {
+        throw new Error(
+            `Offline install: browsers missing from ${browsersPath}: ${missing.join(', ')}.\n` +
+            `Install them with '${pmExec(config, `playwright install ${config.install.browsers.join(' ')}`)}' on a connected machine with the same Playwright version, ` +
+            `copy the folder over and point PLAYWRIGHT_BROWSERS_PATH at it.`
+        );
+    }
+    ctx.logger.log(`✅ Reusing the installed browsers in ${browsersPath}`);
+}
+
+/**
+ * @param {Object} config The configuration object.
+ * @param {string} script A generated package.json script. In integrate mode it may have been added as "e2e:<name>".
+ * @param {string} [args] Arguments passed on to the script.
+ * @returns {string} The command that runs the script with the selected package manager.
+ */
+function pmRun(config, script, args) {
+    const pm = PACKAGE_MANAGERS[config.packageManager.name];
+    const name = (config.scriptRenames && config.scriptRenames[script]) || script;
+    return `${pm.run} ${name}${args ? ` ${pm.argsSeparator}${args}` : ''}`;
+}
+
+/**
+ * @param {Object} config The configuration object.
+ * @param {string} command A binary of the installed packages, with its arguments.
+ * @returns {string} The command that runs it with the selected package manager.
+ */
+function pmExec(config, command) {
+    return `${PACKAGE_MANAGERS[config.packageManager.name].exec} ${command}`;
+}
+
+/**
+ * @param {Object} config The configuration object.
+ * @returns {string} The lockfile of the selected package manager, for CI cache keys and the Dockerfile.
+ */
+function getLockfile(config) {
+    return PACKAGE_MANAGERS[config.packageManager.name].lockfiles[0];
+}
+
+/**
+ * The frozen-lockfile install for CI and containers. pnpm and yarn come from Corepack; bun is installed through npm.
+ * @param {Object} config The configuration object.
+ * @param {boolean} [frozen] false for a plain install, when there is no lockfile to freeze.
+ * @returns {string}
+ */
+function getCiInstallCommand(config, frozen = true) {
+    const name = config.packageManager.name;
+    const setup = { npm: '', pnpm: 'corepack enable && ', yarn: 'corepack enable && ', bun: 'npm install -g bun && ' };
+    return `${setup[name]}${frozen ? PACKAGE_MANAGERS[name].frozenInstall : PACKAGE_MANAGERS[name].install}`;
+}
+
+/**
+ * The install for the Dockerfile and the devcontainer: frozen when the project has a lockfile, a plain install otherwise.
+ * @param {Object} config The configuration object.
+ * @returns {string}
+ */
+function getContainerInstallCommand(config) {
+    return `if ls ${getLockfile(config)}* > /dev/null 2>&1; then ${getCiInstallCommand(config)}; else ${getCiInstallCommand(config, false)}; fi`;
+}
+
+/**
+ * Compares two "major.minor.patch" versions (pre-release suffixes are ignored).
+ * @returns {number} Negative, zero or positive, like a sort comparator.
+ */
+function compareVersions(a, b) {
+    const parts = (version) => String(version).split('-')[0].split('.').map(part => parseInt(part, 10) || 0);
+    const [left, right] = [parts(a), parts(b)];
+    for (let i = 0; i < 3; i++) {
+        if ((left[i] || 0) !== (right[i] || 0)) return (left[i] || 0) - (right[i] || 0);
+    }
+    return 0;
+}
+
+/**
+ * @param {Object} config The configuration object.
+ * @param {string} since The release that introduced a feature.
+ * @returns {boolean} Whether the pinned Playwright version has it.
+ */
+function supportsPlaywright(config, since) {
+    return compareVersions(config.playwrightVersion, since) >= 0;
+}
+
+/**
+ * Checks that the templates only use APIs the Playwright version has.
+ * @param {string} version An exact version, e.g. "1.56.0".
+ * @returns {Object[]} The optional features left out for this version.
+ * @throws {Error} If the version is no exact version, or too old for a required feature.
+ */
+function checkPlaywrightVersion(version) {
+    if (!/^\d+\.\d+\.\d+(-[\w.]+)?$/.test(version)) {
+        throw new Error(`Invalid value "${version}" for playwrightVersion: expected an exact version such as ${DEFAULT_PLAYWRIGHT_VERSION}.`);
+    }
+    const missing = PLAYWRIGHT_FEATURES.filter(feature => compareVersions(version, feature.since) < 0);
+    const required = missing.filter(feature => !feature.optional);
+    if (required.length > 0) {
+        const minimum = required.map(feature => feature.since).sort(compareVersions).pop();
+        throw new Error(
+            `Playwright ${version} is too old for the generated framework, which uses:\n` +
+            required.map(feature => `  - ${feature.feature} (since ${feature.since})`).join('\n') +
+            `\nChoose ${minimum} or newer with --playwright-version.`
+        );
+    }
+    return missing;
+}
+
+/**
+ * @param {Object} config The configuration object (only playwrightVersion is used).
+ * @returns {string} The official image with the browsers of the pinned version (Ubuntu 24.04 images start at 1.45).
+ */
+function getDockerImage(config) {
+    const distro = compareVersions(config.playwrightVersion, '1.45.0') >= 0 ? 'noble' : 'jammy';
+    return `mcr.microsoft.com/playwright:v${config.playwrightVersion}-${distro}`;
+}
+
+/**
+ * Resolves how dependencies and browsers are installed: online or offline, and which browser binaries.
+ * @param {Object} ctx The run context.
+ * @param {string[]} browserProjects The selected projects, whose browsers are installed by default.
+ * @param {Object} packageManager The resolved package manager.
+ * @returns {{ offline: boolean, packagesDir: string|null, browsers: string[] }}
+ */
+function resolveInstallSettings(ctx, browserProjects, packageManager) {
+    const offline = resolveFlag(ctx.sources, 'offline');
+    const packagesSetting = findExplicitSetting(ctx.sources, 'offlinePackages');
+    const packagesDir = packagesSetting ? path.resolve(String(packagesSetting.value)) : null;
+    if (packagesDir && !offline) {
+        throw new Error(`${packagesSetting.label} only applies to offline installs: add --offline.`);
+    }
+    if (offline && !['npm', 'pnpm'].includes(packageManager.name)) {
+        throw new Error(`Offline installs are supported with npm and pnpm, not with ${packageManager.name}. Choose one with --pm.`);
+    }
+    if (packagesDir && !fs.existsSync(packagesDir)) {
+        throw new Error(`The offline packages directory does not exist: ${packagesDir}`);
+    }
+
+    const browsersSetting = findExplicitSetting(ctx.sources, 'installBrowsers');
+    let browsers = getProjectBrowsers({ browserProjects });
+    if (browsersSetting) {
+        const names = [].concat(browsersSetting.value).flatMap(value => String(value).split(',')).map(name => name.trim().toLowerCase()).filter(name => name);
+        const invalidNames = names.filter(name => name !== 'none' && !INSTALLABLE_BROWSERS.includes(name));
+        if (names.length === 0 || invalidNames.length > 0) {
+            throw new Error(`Invalid value "${names.join(',')}" for ${browsersSetting.label}: expected a comma-separated list of ${INSTALLABLE_BROWSERS.join(', ')} or none.`);
+        }
+        browsers = names.filter(name => name !== 'none');
+    }
+    return { offline, packagesDir, browsers };
+}
+
+/**
+ * Resolves the package manager: the --pm setting, else detected from the framework root and its parents
+ * (a `packageManager` field or a lockfile, the nearest directory wins), else from the user agent of
+ * the package manager that started this script (e.g. `pnpm dlx`), else npm.
+ * @param {Object} ctx The run context.
+ * @param {string} frameworkRoot
+ * @returns {{ name: string, source: string, workspace: { root: string, relativePath: string, member: boolean }|null }}
+ */
+function resolvePackageManager(ctx, frameworkRoot) {
+    const names = Object.keys(PACKAGE_MANAGERS);
+    const explicit = findExplicitSetting(ctx.sources, 'pm');
+    const detected = explicit
+        ? { name: coerceSettingValue(explicit.value, explicit.label, { type: 'choice', choices: names }), source: explicit.label }
+        : detectPackageManager(frameworkRoot, ctx.sources.env.npm_config_user_agent);
+    return { ...detected, workspace: findWorkspace(frameworkRoot) };
+}
+
+/**
+ * @param {string} frameworkRoot
+ * @param {string} [userAgent] The npm_config_user_agent set by every package manager, e.g. "pnpm/9.1.0 npm/? node/v20.11.0".
+ * @returns {{ name: string, source: string }}
+ */
+function detectPackageManager(frameworkRoot, userAgent) {
+    for (let dir = frameworkRoot; ; dir = path.dirname(dir)) {
+        const packageJsonPath = path.join(dir, 'package.json');
+        if (fs.existsSync(packageJsonPath)) {
+            const packageManager = String(readJsonSafely(packageJsonPath).packageManager || '').split('@')[0];
+            if (PACKAGE_MANAGERS[packageManager]) {
+                return { name: packageManager, source: `packageManager in ${packageJsonPath}` };
+            }
+        }
+        for (const [name, pm] of Object.entries(PACKAGE_MANAGERS)) {
+            const lockfile = pm.lockfiles.find(file => fs.existsSync(path.join(dir, file)));
+            if (lockfile) {
+                return { name, source: path.join(dir, lockfile) };
+            }
+        }
+        if (path.dirname(dir) === dir) break;
+    }
+
+    const agent = String(userAgent || '').split('/')[0];
+    if (PACKAGE_MANAGERS[agent]) {
+        return { name: agent, source: 'the user agent' };
+    }
+    return { name: 'npm', source: 'the default' };
+}
+
+/**
+ * Finds the monorepo workspace (pnpm-workspace.yaml or package.json "workspaces") the framework root is in, if any.
+ * @param {string} frameworkRoot
+ * @returns {{ root: string, relativePath: string, member: boolean }|null} `member` tells whether the framework root
+ *   matches the workspace's package globs, i.e. whether a workspace install includes it.
+ */
+function findWorkspace(frameworkRoot) {
+    for (let dir = path.dirname(frameworkRoot); path.dirname(dir) !== dir; dir = path.dirname(dir)) {
+        const patterns = readWorkspacePatterns(dir);
+        if (patterns) {
+            const relativePath = toManifestKey(path.relative(dir, frameworkRoot));
+            const matches = (pattern) => globToRegExp(pattern.replace(/^!/, '').replace(/^\.\//, '').replace(/\/$/, '')).test(relativePath);
+            const member = patterns.some(pattern => !pattern.startsWith('!') && matches(pattern))
+                && !patterns.some(pattern => pattern.startsWith('!') && matches(pattern));
+            return { root: dir, relativePath, member };
+        }
+    }
+    return null;
+}
+
+/**
+ * @param {string} dir
+ * @returns {string[]|null} The workspace package globs declared in the directory, or null if it is no workspace root.
+ */
+function readWorkspacePatterns(dir) {
+    const pnpmWorkspace = path.join(dir, 'pnpm-workspace.yaml');
+    if (fs.existsSync(pnpmWorkspace)) {
+        // Only the "packages:" list is needed, so a line-based read avoids a YAML dependency
+        const lines = fs.readFileSync(pnpmWorkspace, 'utf8').split(/\r?\n/);
+        const start = lines.findIndex(line => /^packages:\s*$/.test(line));
+        const patterns = [];
+        for (const line of start === -1 ? [] : lines.slice(start + 1)) {
+            const item = line.match(/^\s+-\s*['"]?([^'"#]+?)['"]?\s*(#.*)?$/);
+            if (item) {
+                patterns.push(item[1]);
+            } else if (/^\S/.test(line)) {
+                break;
+            }
+        }
+        return patterns;
+    }
+
+    const packageJsonPath = path.join(dir, 'package.json');
+    const workspaces = fs.existsSync(packageJsonPath) ? readJsonSafely(packageJsonPath).workspaces : undefined;
+    if (Array.isArray(workspaces)) return workspaces;
+    if (workspaces && Array.isArray(workspaces.packages)) return workspaces.packages;
+    return null;
+}
+
+/**
+ * Converts a workspace glob (`*` within a path segment, `**` across segments) to a regular expression.
+ * @param {string} pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+    const source = pattern.split('**').map(part => part.split('*').map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('[^/]*')).join('.*');
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * @param {string} filePath
+ * @returns {Object} The parsed JSON file, or an empty object when it is not valid JSON.
+ */
+function readJsonSafely(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Generates the typed API client from the OpenAPI document. It needs the installed dependencies to read YAML.
+ * @param {Object} config The configuration object.
+ * @param {Object} ctx The run context. Its transaction records the generated files, so a failed run can remove them.
+ */
+function generateApiClient(config, ctx) {
+    const apiDir = path.join(config.frameworkRoot, config.testDirName, 'api');
+    trackIfMissing(ctx.tx, path.join(apiDir, 'client.ts'));
+    trackIfMissing(ctx.tx, path.join(apiDir, 'schemas.json'));
+
+    ctx.logger.log(`\n======================================================`);
+    ctx.logger.log(`🧾 Generating the typed API client from ${config.openapi}...`);
+    ctx.logger.log(`======================================================`);
+    runCommand(ctx, pmRun(config, 'api:generate'), { cwd: config.frameworkRoot, stdio: 'inherit' });
+}
+
+/**
+ * Lists the spec files the verification run executes: every generated spec in the tests folder,
+ * so specs added or removed by template packs are picked up automatically.
+ * @param {Object} config The configuration object.
+ * @returns {string[]} Forward-slash paths relative to the framework root.
+ */
+function getVerificationSpecs(config) {
+    const testsDir = path.join(config.testDirName, 'tests') + path.sep;
+    return renderFiles(config.testDirName, config)
+        .map(file => file.relativePath)
+        .filter(relativePath => relativePath.startsWith(testsDir) && relativePath.endsWith('.spec.ts'))
+        .map(toManifestKey);
+}
+
+/**
+ * Builds the command used by runVerificationTests(), including the intentionally failing test.
+ * @param {Object} config The configuration object.
+ * @returns {string}
+ */
+function getVerificationCommand(config) {
+    const allTests = getVerificationSpecs(config).join(' ');
+    // The package's "test" script finds the playwright binary wherever the package manager put it (e.g. a workspace root)
+    return pmRun(config, 'test', `${allTests} --update-snapshots`);
+}
+
+/**
+ * @param {Object} config The configuration object.
+ * @returns {string} The tsconfig.json the generated files are type-checked with, relative to the framework root.
+ */
+function getTsconfigPath(config) {
+    return config.integrate ? `${config.testDirName}/tsconfig.json` : 'tsconfig.json';
+}
+
+/**
+ * Builds the command that type-checks the generated files. It calls tsc directly rather than the "typecheck"
+ * script, which integrate mode may have renamed next to the application's own.
+ * @param {Object} config The configuration object.
+ * @returns {string}
+ */
+function getTypecheckCommand(config) {
+    return pmExec(config, `tsc --noEmit -p ${getTsconfigPath(config)}`);
+}
+
+/**
+ * Builds the command that loads playwright.config.ts and lists the tests of every project, without running them.
+ * @param {Object} config The configuration object.
+ * @returns {string}
+ */
+function getListCommand(config) {
+    return pmExec(config, `playwright test --config=${config.testDirName}/playwright.config.ts --list --reporter=json`);
+}
+
+/**
+ * Checks the generated framework before any browser runs: type-checks it, loads playwright.config.ts and
+ * matches every selected project against the device descriptors of the installed Playwright.
+ * A failure lists each problem with the file to fix, then throws, so the run is rolled back (or kept for --resume).
+ * @param {Object} config The configuration object.
+ * @param {Object} ctx The run context.
+ */
+function validateFramework(config, ctx) {
+    ctx.logger.log(`\n======================================================`);
+    ctx.logger.log(`🔎 Validating the generated framework...`);
+    ctx.logger.log(`======================================================`);
+
+    const generatedFiles = Object.keys(loadManifest(config.frameworkRoot).files);
+    const problems = [
+        ...checkGeneratedTypes(config, ctx),
+        ...checkPlaywrightConfig(config, ctx),
+    ];
+    if (problems.length === 0) {
+        ctx.logger.log(`✅ The TypeScript compiles and playwright.config.ts loads with every project (${config.browserProjects.join(', ')}).`);
+        return;
+    }
+
+    problems.forEach(problem => {
+        const location = problem.line ? `${problem.file}:${problem.line}${problem.column ? `:${problem.column}` : ''}` : problem.file;
+        const origin = generatedFiles.includes(toManifestKey(path.relative(config.frameworkRoot, problem.file))) ? ' (generated)' : '';
+        ctx.logger.error(`❌ ${location}${origin}\n   ${problem.message}`);
+    });
+    throw new Error(`Validation found ${problems.length} problem(s) in the generated framework (listed above). Use --skip-validation to run without the checks.`);
+}
+
+/**
+ * Runs tsc --noEmit against the generated tsconfig.json and turns each compiler error into a problem.
+ * @param {Object} config The configuration object.
+ * @param {Object} ctx The run context.
+ * @returns {{ file: string, line?: number, column?: number, message: string }[]}
+ */
+function checkGeneratedTypes(config, ctx) {
+    const command = getTypecheckCommand(config);
+    ctx.logger.log(`$ ${command}`);
+    try {
+        runCommand(ctx, command, { cwd: config.frameworkRoot, stdio: 'pipe', encoding: 'utf8' });
+        return [];
+    } catch (error) {
+        if (error.status === undefined) throw error;
+
+        const output = `${error.stdout || ''}${error.stderr || ''}`;
+        const problems = [];
+        for (const line of output.split(/\r?\n/)) {
+            const match = line.match(/^(.+?)\((\d+),(\d+)\): error (TS\d+): (.*)$/);
+            if (!match) continue;
+            const [, file, lineNumber, column, code, message] = match;
+            problems.push({ file: path.resolve(config.frameworkRoot, file), line: Number(lineNumber), column: Number(column), message: `${code}: ${message}` });
+        }
+        // tsc itself failed (e.g. it is not installed), so there is no error to point at
+        if (problems.length === 0) {
+            problems.push({ file: path.join(config.frameworkRoot, getTsconfigPath(config)), message: `'${command}' failed with exit code ${error.status}:\n${indentOutput(output)}` });
+        }
+        return problems;
+    }
+}
+
+/**
+ * Loads playwright.config.ts through 'playwright test --list' and checks that every selected browser project
+ * is defined there. The config resolves the device of each project itself, so an unknown device is a load error.
+ * @param {Object} config The configuration object.
+ * @param {Object} ctx The run context.
+ * @returns {{ file: string, line?: number, column?: number, message: string }[]}
+ */
+function checkPlaywrightConfig(config, ctx) {
+    const configFile = path.join(config.frameworkRoot, config.testDirName, 'playwright.config.ts');
+    const command = getListCommand(config);
+    ctx.logger.log(`$ ${command}`);
+
+    // Only the JSON reporter runs, printing to stdout; anything else the run writes goes to a temporary folder
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'playwright-bootstrap-list-'));
+    const env = { ...ctx.sources.env, TEST_HISTORY_FILE: path.join(outputDir, 'test-history.json') };
+    delete env.PLAYWRIGHT_JSON_OUTPUT_NAME;
+    delete env.PLAYWRIGHT_JSON_OUTPUT_FILE;
+    delete env.PLAYWRIGHT_JSON_OUTPUT_DIR;
+
+    let output;
+    let errorOutput = '';
+    try {
+        output = runCommand(ctx, `${command} --output=${JSON.stringify(outputDir)}`, { cwd: config.frameworkRoot, stdio: 'pipe', encoding: 'utf8', env });
+    } catch (error) {
+        if (error.status === undefined) throw error;
+        // Errors in the test files are still reported as JSON, with a non-zero exit code.
+        // A config that fails to load only prints its error.
+        output = error.stdout;
+        errorOutput = String(error.stderr || '');
+    } finally {
+        fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+
+    // An injected exec (see createContext()) may not capture any output, so there is nothing to check
+    if ((output === undefined || output === null || String(output).trim() === '') && errorOutput.trim() === '') {
+        ctx.logger.log(`⚠️ '${command}' returned no output, so the projects of the config were not checked.`);
+        return [];
+    }
+
+    // The package manager may print a banner around the report
+    const text = String(output);
+    let report;
+    try {
+        report = JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+    } catch (error) {
+        return [{ file: configFile, message: `'${command}' could not load the config:\n${indentOutput(errorOutput || text)}` }];
+    }
+
+    const problems = (report.errors || []).map(error => ({
+        file: error.location ? error.location.file : configFile,
+        line: error.location && error.location.line,
+        column: error.location && error.location.column,
+        message: stripAnsi(error.message || String(error.value)),
+    }));
+
+    const definedProjects = ((report.config && report.config.projects) || []).map(project => project.name);
+    for (const project of config.browserProjects) {
+        if (!definedProjects.includes(project)) {
+            problems.push({ file: configFile, message: `The '${project}' project is missing from the projects of the config.` });
+        }
+    }
+    return problems;
+}
+
+/**
+ * @param {string} text
+ * @returns {string} The text without terminal colors.
+ */
+function stripAnsi(text) {
+    return String(text).replace(/\u001b\[[0-9;]*m/g, '');
+}
+
+/**
+ * Indents command output below a problem. Stack frames inside Node.js and node_modules are left out.
+ * @param {string} output
+ */
+function indentOutput(output) {
+    return stripAnsi(output).trim().split(/\r?\n/)
+        .filter(line => !/^\s*at .*(node:|node_modules)/.test(line))
+        .slice(0, 20)
+        .map(line => `      ${line}`)
+        .join('\n');
+}
+
+/**
+ * Runs the verification tests and includes the intentionally failing test.
+ * @param {string} testDirName
+ * @param {Object} config The configuration object.
+ * @param {Object} ctx The run context. Receives the test outcome in its result.
+ */
+function runVerificationTests(testDirName, config, ctx) {
+    // Test output lands next to the config (outputDir and the html reporter are relative to it)
+    trackIfMissing(ctx.tx, path.join(config.frameworkRoot, testDirName, 'test-artifacts'));
+    trackIfMissing(ctx.tx, path.join(config.frameworkRoot, testDirName, 'html-report'));
+    trackIfMissing(ctx.tx, path.join(config.frameworkRoot, testDirName, 'reports'));
+    trackIfMissing(ctx.tx, path.join(config.frameworkRoot, testDirName, 'blob-report'));
+    trackIfMissing(ctx.tx, path.join(config.frameworkRoot, testDirName, 'test-history.json'));
+    ctx.result.tests.ran = true;
+
+    ctx.logger.log(`\n======================================================`);
+    ctx.logger.log(`🔬 Running initial verification tests...`);
+    ctx.logger.log(`======================================================`);
+
+    const expectedFailPath = `${testDirName}/tests/expected-fail.spec.ts`;
+
+    // A template pack may have removed the intentionally failing test
+    if (getVerificationSpecs(config).includes(expectedFailPath)) {
+        ctx.logger.log(`\n📢 **IMPORTANT NOTE** 📢`);
+        ctx.logger.log(`The test **${expectedFailPath}** is INTENTIONALLY designed to fail.`);
+        ctx.logger.log(`This is to demonstrate Playwright's error reporting, failure screenshots,`);
+        ctx.logger.log(`and the retry mechanism (set to **${config.retries}** retries).`);
+        ctx.logger.log(`The final report will correctly show one expected failure.`);
+    }
+
+    const fullVerificationCommand = getVerificationCommand(config);
+
+    // In setup-project mode the login runs as the 'setup' project the browser projects depend on, and shows up in the report
+    const loginStep = config.auth.mode === 'setup-project' ? `the 'setup' Project` : 'Global Setup';
+    ctx.logger.log(`\n--- Running ${loginStep}, Creating Baseline Snapshot & Full Suite (Including Expected Failure) ---`);
+
+    try {
+        // This command is expected to throw because expected-fail.spec.ts fails.
+        runCommand(ctx, fullVerificationCommand, { cwd: config.frameworkRoot, stdio: ['ignore', 'inherit', 'inherit'] });
+        ctx.result.tests.exitCode = 0;
+
+        // This code path should theoretically not be reached unless the expected-fail test is removed or fixed.
+        ctx.logger.log(`--- Baseline Snapshot Created and Full Suite Run Successfully ---`);
+
+    } catch (error) {
+        // If we catch an error, it is likely due to the expected test failure (non-zero status).
+        // A non-zero status means tests failed, but the command itself ran successfully.
+        if (error.status !== undefined && error.status !== 0) {
+            ctx.result.tests.exitCode = error.status;
+            ctx.logger.log(`\n--- Verification Run Complete with Expected Failures (Exit Code ${error.status}) ---`);
+            ctx.logger.log(`✅ This is the intended behavior. The 'expected-fail.spec.ts' failed, successfully demonstrating the error and retry logic.`);
+            ctx.logger.log(`--- Baseline Snapshot Created ---`);
+        } else {
+            // If the status is undefined or zero, but an error was still caught, re-throw a real fatal error.
+            throw error;
+        }
+    }
+}
+
+/**
+ * @param {Object} config The configuration object.
+ * @param {Object} ctx The run context. Its transaction records the install output, so a failed run can remove it.
+ */
+function installDependencies(config, ctx) {
+    const commands = getInstallCommands(config);
+    const browserInstall = !config.install.offline && config.install.browsers.length > 0 ? commands.pop() : null;
+    const installRoot = commands[commands.length - 1].cwd;
+    trackIfMissing(ctx.tx, path.join(config.frameworkRoot, 'node_modules'));
+    trackIfMissing(ctx.tx, path.join(installRoot, 'node_modules'));
+    trackIfMissing(ctx.tx, path.join(installRoot, getLockfile(config)));
+
+    ctx.logger.log(`\n======================================================`);
+    ctx.logger.log(`📦 Installing dependencies with ${config.packageManager.name}${config.install.offline ? ' (offline)' : ''} (in ${installRoot})...`);
+    ctx.logger.log(`======================================================`);
+    commands.forEach(({ command, cwd }) => runCommand(ctx, command, { cwd, stdio: 'inherit' }));
+
+    ctx.logger.log(`\n======================================================`);
+    ctx.logger.log(`💻 Installing browser binaries...`);
+    ctx.logger.log(`======================================================`);
+    if (config.install.offline) {
+        checkInstalledBrowsers(config, ctx);
+    } else if (browserInstall) {
+        runCommand(ctx, browserInstall.command, { cwd: browserInstall.cwd, stdio: 'inherit' });
+    } else {
+        ctx.logger.log(`Skipped (--install-browsers none). The tests need the browsers of the selected projects to be installed.`);
+    }
+}
+
+/**
+ * @param {Object} config The configuration object.
+ * @param {Object} ctx The run context.
+ */
+function initializeVsCodeAgent(config, ctx) {
+    ctx.logger.log(`\n======================================================`);
+    ctx.logger.log(`🤖 Initializing Playwright VS Code Debugging Agent...`);
+    ctx.logger.log(`   (Required for the v1.56 Test Agents feature)`);
+    ctx.logger.log(`======================================================`);
+    try {
+        // Run init-agents for VS Code as a standard setup step
+        runCommand(ctx, pmExec(config, AGENT_INIT_COMMAND), { cwd: config.frameworkRoot, stdio: 'inherit' });
+        ctx.logger.log(`✅ VS Code Agent setup files completed (.vscode folder created).`);
+    } catch (error) {
+        ctx.logger.log(`⚠️ VS Code Agent setup failed. This feature requires Playwright >= 1.56. Not critical for basic test execution.`);
+    }
+}
+
+/**
+ * Computes a line-based edit script between two lists of lines using a longest-common-subsequence table.
+ * @param {string[]} a The old lines.
+ * @param {string[]} b The new lines.
+ * @returns {{ type: ' '|'-'|'+', line: string }[]}
+ */
+function diffLines(a, b) {
+    const lcs = Array.from({ length: a.length + 1 }, () => new Int32Array(b.length + 1));
+
+    for (let i = a.length - 1; i >= 0; i--) {
+        for (let j = b.length - 1; j >= 0; j--) {
+            lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+        }
+    }
+
+    const ops = [];
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+        if (i < a.length && j < b.length && a[i] === b[j]) {
+            ops.push({ type: ' ', line: a[i++] });
+            j++;
+        } else if (j < b.length && (i === a.length || lcs[i][j + 1] >= lcs[i + 1][j])) {
+            ops.push({ type: '+', line: b[j++] });
+        } else {
+            ops.push({ type: '-', line: a[i++] });
+        }
+    }
+    return ops;
+}
+
+/**
+ * Groups an edit script into hunks expressed in base-line coordinates: base lines [start, end) become `lines`.
+ */
+function getChangeHunks(baseLines, otherLines, side) {
+    const hunks = [];
+    let current = null;
+    let baseIndex = 0;
+
+    for (const op of diffLines(baseLines, otherLines)) {
+        if (op.type === ' ') {
+            if (current) hunks.push(current);
+            current = null;
+            baseIndex++;
+            continue;
+        }
+        if (!current) {
+            current = { side, start: baseIndex, end: baseIndex, lines: [] };
+        }
+        if (op.type === '-') {
+            current.end = ++baseIndex;
+        } else {
+            current.lines.push(op.line);
+        }
+    }
+    if (current) hunks.push(current);
+    return hunks;
+}
+
+/**
+ * Three-way merges the user's version of a file with a new template version, using the previous template as the base.
+ * Changes that touch the same or adjacent base lines are a conflict, unless both sides made the identical change.
+ * @param {string} baseText The template the user's file was generated from.
+ * @param {string} oursText The user's current file.
+ * @param {string} theirsText The new template.
+ * @returns {{ text: string, conflicts: number }} The merged text, with git-style markers around each conflict.
+ */
+function mergeThreeWay(baseText, oursText, theirsText) {
+    const base = baseText.split('\n');
+    const hunks = [
+        ...getChangeHunks(base, oursText.split('\n'), 'ours'),
+        ...getChangeHunks(base, theirsText.split('\n'), 'theirs'),
+    ].sort((x, y) => x.start - y.start || x.end - y.end);
+
+    // Rebuilds one side's version of the base range [start, end) from that side's hunks in the group
+    const applySide = (group, side, start, end) => {
+        const lines = [];
+        let index = start;
+        for (const hunk of group.filter(h => h.side === side)) {
+            lines.push(...base.slice(index, hunk.start), ...hunk.lines);
+            index = hunk.end;
+        }
+        return lines.concat(base.slice(index, end));
+    };
+
+    const output = [];
+    let conflicts = 0;
+    let baseIndex = 0;
+    let h = 0;
+
+    while (h < hunks.length) {
+        const group = [hunks[h]];
+        const start = hunks[h].start;
+        let end = hunks[h].end;
+        while (++h < hunks.length && hunks[h].start <= end) {
+            group.push(hunks[h]);
+            end = Math.max(end, hunks[h].end);
+        }
+
+        output.push(...base.slice(baseIndex, start));
+        baseIndex = end;
+
+        const ours = applySide(group, 'ours', start, end);
+        const theirs = applySide(group, 'theirs', start, end);
+        if (group.every(hunk => hunk.side === 'ours') || ours.join('\n') === theirs.join('\n')) {
+            output.push(...ours);
+        } else if (group.every(hunk => hunk.side === 'theirs')) {
+            output.push(...theirs);
+        } else {
+            conflicts++;
+            output.push('<<<<<<< yours', ...ours, '=======', ...theirs, '>>>>>>> template');
+        }
+    }
+
+    output.push(...base.slice(baseIndex));
+    return { text: output.join('\n'), conflicts };
+}
+
+/**
+ * Formats the difference between two texts as a unified diff with 3 lines of context.
+ * @returns {string} The diff, or an empty string if the texts are identical.
+ */
+function createUnifiedDiff(oldText, newText, oldLabel, newLabel) {
+    const context = 3;
+    let oldLine = 1;
+    let newLine = 1;
+    const ops = diffLines(oldText.split('\n'), newText.split('\n')).map(op => {
+        const entry = { ...op, oldLine, newLine };
+        if (op.type !== '+') oldLine++;
+        if (op.type !== '-') newLine++;
+        return entry;
+    });
+
+    const changes = ops.map((op, index) => (op.type === ' ' ? -1 : index)).filter(index => index >= 0);
+    if (changes.length === 0) {
+        return '';
+    }
+
+    const output = [`--- ${oldLabel}`, `+++ ${newLabel}`];
+    for (let c = 0; c < changes.length; c++) {
+        const start = Math.max(0, changes[c] - context);
+        let end = Math.min(ops.length - 1, changes[c] + context);
+        // Merge changes whose context windows touch into a single hunk
+        while (c + 1 < changes.length && changes[c + 1] - context <= end + 1) {
+            end = Math.min(ops.length - 1, changes[++c] + context);
+        }
+
+        const hunk = ops.slice(start, end + 1);
+        const oldCount = hunk.filter(op => op.type !== '+').length;
+        const newCount = hunk.filter(op => op.type !== '-').length;
+        output.push(`@@ -${hunk[0].oldLine},${oldCount} +${hunk[0].newLine},${newCount} @@`);
+        hunk.forEach(op => output.push(op.type + op.line));
+    }
+    return output.join('\n');
+}
+
+/**
+ * Prints everything a real run would do, without writing files, changing directory or spawning processes.
+ * The planned file actions and commands are also recorded in the run result.
+ * @param {Object} config The configuration object.
+ * @param {boolean} shouldRunTests Whether the verification tests would run.
+ * @param {Object} ctx The run context.
+ */
+function printDryRun(config, shouldRunTests, ctx) {
+    ctx.logger.log(`\n======================================================`);
+    ctx.logger.log(`🧪 DRY RUN: No files will be written and no commands will be run.`);
+    ctx.logger.log(`======================================================`);
+
+    ctx.logger.log(`\n--- Resolved Configuration ---`);
+    ctx.logger.log(JSON.stringify({ ...config, runVerificationTests: shouldRunTests }, null, 2));
+
+    ctx.logger.log(`\n--- Directories ---`);
+    for (const dirPath of getStructureDirs(config)) {
+        ctx.logger.log(`${fs.existsSync(dirPath) ? '   (exists)' : '   (create)'} ${dirPath}`);
+    }
+
+    ctx.logger.log(`\n--- Files ---`);
+    const plan = planFileWrites(config, renderFiles(config.testDirName, config), loadManifest(config.frameworkRoot));
+    for (const entry of plan) {
+        ctx.result.files.push({ path: entry.filePath, action: entry.action });
+        if (entry.action === 'create') {
+            ctx.logger.log(`\n📄 CREATE ${entry.filePath}`);
+            ctx.logger.log(entry.content);
+        } else if (entry.action === 'unchanged') {
+            ctx.logger.log(`\n✅ UNCHANGED ${entry.filePath}`);
+        } else {
+            const labels = {
+                upgrade: 'UPGRADE (untouched since generation)',
+                integrate: 'MERGE (into the existing project file)',
+                conflict: 'CONFLICT (modified since generation, would be handled with --on-conflict or a prompt)',
+            };
+            const label = labels[entry.action];
+            ctx.logger.log(`\n✏️ ${label} ${entry.filePath}`);
+            ctx.logger.log(createUnifiedDiff(entry.existing, entry.content, `${entry.relativePath} (existing)`, `${entry.relativePath} (generated)`));
+        }
+    }
+    ctx.logger.log(`\n📄 RECORD ${path.join(config.frameworkRoot, MANIFEST_FILE)}`);
+
+    ctx.logger.log(`\n--- Commands (cwd: ${config.frameworkRoot}) ---`);
+    const commands = [...getInstallCommands(config)];
+    const inRoot = (command) => ({ command, cwd: config.frameworkRoot });
+    if (config.openapi) {
+        commands.push(inRoot(pmRun(config, 'api:generate')));
+    }
+    if (!resolveFlag(ctx.sources, 'skipValidation')) {
+        commands.push(inRoot(getTypecheckCommand(config)), inRoot(getListCommand(config)));
+    }
+    if (shouldRunTests) {
+        commands.push(inRoot(getVerificationCommand(config)));
+    }
+    if (supportsPlaywright(config, '1.56.0')) {
+        commands.push(inRoot(pmExec(config, AGENT_INIT_COMMAND)));
+    }
+    commands.forEach(({ command, cwd }) => {
+        ctx.result.commands.push({ command, cwd, exitCode: null });
+        ctx.logger.log(`$ ${command}${cwd !== config.frameworkRoot ? `   (in ${cwd})` : ''}`);
+    });
+}
+
+
+// --- 4. MAIN EXECUTION ---
+
+/**
+ * Lists the setup steps in execution order. Each step has a stable name, so a saved run state can resume from it.
+ * @param {Object} config The configuration object.
+ * @param {boolean} shouldRunTests
+ * @param {Object} ctx The run context.
+ * @param {boolean} [skipValidation] Leaves out the checks of the generated framework.
+ */
+function getSetupSteps(config, shouldRunTests, ctx, skipValidation = false) {
+    return [
+        { name: 'structure', run: () => createStructure(config, ctx) },
+        { name: 'files', run: () => writeFiles(config.testDirName, config, ctx) },
+        { name: 'install', run: () => installDependencies(config, ctx) },
+        { name: 'api-client', skip: !config.openapi, run: () => generateApiClient(config, ctx) },
+        // Checks the generated files before any browser runs
+        { name: 'validate', skip: skipValidation, run: () => validateFramework(config, ctx) },
+        // Conditional test run
+        { name: 'verify', skip: !shouldRunTests, run: () => runVerificationTests(config.testDirName, config, ctx) },
+        { name: 'agent', skip: !supportsPlaywright(config, '1.56.0'), run: () => initializeVsCodeAgent(config, ctx) },
+    ];
+}
+
+/**
+ * Loads the state saved by a failed run.
+ * @param {string} target The framework root or the state file itself.
+ */
+function loadRunState(target) {
+    const resolved = path.resolve(target);
+    const statePath = fs.existsSync(resolved) && fs.statSync(resolved).isDirectory()
+        ? path.join(resolved, RUN_STATE_FILE)
+        : resolved;
+
+    if (!fs.existsSync(statePath)) {
+        throw new Error(`No saved run state found at ${statePath}. Only runs that failed with --keep-on-failure can be resumed.`);
+    }
+    return { ...JSON.parse(fs.readFileSync(statePath, 'utf8')), statePath };
+}
+
+/**
+ * Runs the setup steps as one transaction. On failure, everything the run created is rolled back,
+ * or kept together with a state file when --keep-on-failure is set.
+ * @param {Object} [state] The saved state when resuming; its completed steps are skipped.
+ */
+async function runSetupSteps(config, shouldRunTests, state, ctx) {
+    const tx = createTransaction(state);
+    ctx.tx = tx;
+    const completedSteps = ctx.result.completedSteps;
+    completedSteps.push(...(state ? state.completedSteps : []));
+    const statePath = path.join(config.frameworkRoot, RUN_STATE_FILE);
+    // A resumed run keeps what the original run chose to keep, even if --keep-on-failure is not repeated
+    const keepOnFailure = resolveFlag(ctx.sources, 'keepOnFailure') || Boolean(state && state.keepOnFailure !== false);
+    // --skip-validation can also be added when resuming a run that failed validation
+    const skipValidation = resolveFlag(ctx.sources, 'skipValidation') || Boolean(state && state.skipValidation);
+
+    for (const step of getSetupSteps(config, shouldRunTests, ctx, skipValidation)) {
+        if (step.skip || completedSteps.includes(step.name)) {
+            continue;
+        }
+
+        try {
+            await step.run();
+            completedSteps.push(step.name);
+        } catch (error) {
+            if (keepOnFailure) {
+                fs.mkdirSync(path.dirname(statePath), { recursive: true });
+                const runState = { version: 1, config, shouldRunTests, keepOnFailure, skipValidation, completedSteps, failedStep: step.name, error: error.message, ...tx };
+                fs.writeFileSync(statePath, JSON.stringify(runState, null, 2), 'utf8');
+                ctx.logger.error(`\n💾 Step '${step.name}' failed. Everything created so far was kept and the run state was saved to: ${statePath}`);
+                ctx.logger.error(`   Fix the problem, then continue with: node bootstrap-playwright.js --resume "${config.frameworkRoot}"`);
+            } else {
+                ctx.logger.error(`\n↩️ Step '${step.name}' failed. Rolling back ${tx.created.length} created path(s) and ${Object.keys(tx.backups).length} overwritten file(s)...`);
+                rollbackTransaction(tx);
+                fs.rmSync(statePath, { force: true });
+                ctx.logger.error(`   Rollback complete. Re-run with --keep-on-failure to keep a failed run for inspection and --resume.`);
+            }
+            throw error;
+        }
+    }
+
+    // A successful (resumed) run leaves nothing to resume
+    fs.rmSync(statePath, { force: true });
+}
+
+/**
+ * Bootstraps a Playwright framework. This is the programmatic API; the CLI is a thin wrapper around it.
+ * @param {Object} [options] Any setting supported by the CLI, keyed by its camelCase name (e.g. `{ dir, baseUrl, yes: true }`),
+ *   plus the injectable dependencies documented on createContext(): `logger`, `exec`, `prompt` and `interactive`.
+ *   `env` replaces process.env as the environment variable source.
+ * @returns {Promise<Object>} The run result: the resolved `config`, the `files` written (with their action),
+ *   the `commands` run (with their exit code), the `completedSteps` and the verification `tests` outcome.
+ */
+async function bootstrap(options = {}) {
+    const { logger, exec, prompt, interactive, env = process.env, ...settings } = options;
+    const ctx = createContext({ sources: loadSettingSources(settings, env), logger, exec, prompt, interactive });
+    const sources = ctx.sources;
+
+    ctx.logger.log(`\n======================================================`);
+    ctx.logger.log(`🚀 Playwright E2E Framework Bootstrap (v1.56 Ready)`);
+    ctx.logger.log(`======================================================`);
+    if (sources.filePath) {
+        ctx.logger.log(`Using settings from ${sources.filePath}`);
+    }
+
+    // A resumed run reuses the settings of the failed run instead of resolving them again
+    const state = sources.flags.resume ? loadRunState(sources.flags.resume) : null;
+    if (state) {
+        ctx.logger.log(`Resuming the run saved in ${state.statePath} from step '${state.failedStep}' (failed with: ${state.error})`);
+    }
+
+    // ENHANCEMENT: Ask if user wants to run tests before installation begins
+    const shouldRunTests = state ? state.shouldRunTests : !(await resolveSetting(
+        ctx,
+        'skipTests',
+        'Do you want to run the initial verification tests after installation (Recommended: Y/n)? ',
+        { type: 'boolean', default: false, invertPrompt: true }
+    ));
+
+    if (!shouldRunTests) {
+        ctx.logger.log("\n⚠️ Skipping initial test execution as requested. Remember to run the tests later!");
+    }
+
+    const config = state ? state.config : await getFrameworkSettings(ctx);
+    ctx.result.config = config;
+
+    if (resolveFlag(sources, 'dryRun')) {
+        ctx.result.dryRun = true;
+        printDryRun(config, shouldRunTests, ctx);
+        return ctx.result;
+    }
+
+    await runSetupSteps(config, shouldRunTests, state, ctx);
+
+    // 7. Final Instructions
+    ctx.logger.log(`\n======================================================`);
+    ctx.logger.log(`🎉 Setup Complete!`);
+    ctx.logger.log(`======================================================`);
+    ctx.logger.log(`\nYour Playwright framework is ready at root: **${config.frameworkRoot}**`);
+    ctx.logger.log(`The test directory is: **${path.join(config.frameworkRoot, config.testDirName)}**`);
+    ctx.logger.log(`\n--- Next Steps ---`);
+    ctx.logger.log(`1. **Authentication**: ${describeAuthSetup(config)}`);
+    ctx.logger.log(`   **Environments**: Fill in ${path.join(config.frameworkRoot, config.testDirName, '.env.<profile>')} for ${config.envProfiles.slice(1).join(', ') || 'each profile'} and select one with TEST_ENV.`);
+    if (!shouldRunTests) {
+         ctx.logger.log(`2. **Run Tests Now**: Execute '${pmRun(config, 'test')}' to verify the installation and create visual snapshots.`);
+    }
+    if (config.reporters.includes('html')) {
+        ctx.logger.log(`2. View the full HTML report by running: **${pmRun(config, 'report')}**`);
+    }
+    ctx.logger.log(`   **CI**: Run '${pmRun(config, 'test:ci')}' to write the ${config.ciReporters.join(', ')} reports used by pipelines.`);
+    if (config.docker) {
+        ctx.logger.log(`   **Docker**: Run '${pmRun(config, 'test:visual:update:docker')}' to create the visual baselines in the same Linux image CI can use.`);
+    }
+    if (config.ci.provider !== 'none') {
+        ctx.logger.log(`   Commit ${getCiPipelineFile(config)} and store the credentials as secrets of your ${config.ci.provider} pipeline.`);
+    }
+    ctx.logger.log(`3. **Manual Validation**: Inspect snapshots in '${getSnapshotDir(config)}' to confirm the visual baseline is correct.`);
+    ctx.logger.log(`   After UI changes, approve or reject changed screenshots with: **${pmRun(config, 'snapshots:review')}**`);
+
+    return ctx.result;
+}
+
+/**
+ * Summarizes the generated authentication for the final instructions.
+ * @param {Object} config The configuration object.
+ * @returns {string}
+ */
+function describeAuthSetup(config) {
+    const auth = config.auth;
+    switch (auth.strategy) {
+        case 'none':
+            return 'None configured. Tests run with an anonymous browser context.';
+        case 'basic':
+            return `HTTP basic auth as the **${auth.roles[0].name}** role is sent with every request via httpCredentials. Switch roles with test.use({ role }).`;
+        case 'api-token':
+            return auth.tokenStorage === 'cookie'
+                ? `The session cookies from **${auth.tokenUrl}** are saved per role to **${path.join(config.frameworkRoot, getStorageStateFile('<role>'))}**. Tests run as **${auth.roles[0].name}** unless they use test.use({ role }).`
+                : `The token from **${auth.tokenUrl}** is saved per role to **${path.join(config.frameworkRoot, getTokenFile('<role>'))}** and sent as a Bearer header. Tests run as **${auth.roles[0].name}** unless they use test.use({ role }).`;
+        default:
+            return `The session of every role is saved to **${path.join(config.frameworkRoot, getStorageStateFile('<role>'))}**. Tests run as **${auth.roles[0].name}** unless they use test.use({ role }).`;
+    }
+}
+
+/**
+ * The command-line entry point: parses the flags and runs bootstrap() with the console, real processes and prompts.
+ * @param {string[]} argv The raw arguments, without the node executable and script path.
+ */
+async function runCli(argv) {
+    try {
+        const flags = parseCliArgs(argv);
+
+        if (flags.help) {
+            printUsage();
+            return;
+        }
+
+        await bootstrap(flags);
+    } catch (error) {
+        console.error(`\n\n❌ Fatal Error during setup. Execution failed.`);
+        console.error(`Error details: ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = {
+    bootstrap,
+    getFileContents,
+    renderFiles,
+    writeFiles,
+    promptUser,
+    parseCliArgs,
+    createContext,
+};
+
+if (require.main === module) {
+    runCli(process.argv.slice(2));
+}